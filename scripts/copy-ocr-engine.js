@@ -0,0 +1,30 @@
+/**
+ * Copies the OCR engine used by "Links in images" (Tesseract compiled to
+ * WebAssembly, with its English model) from node_modules to vendor/ocr, where
+ * src/ocr.html loads it. Runs after npm install.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const TARGET = path.join(ROOT, 'vendor', 'ocr');
+
+// [package file, name in vendor/ocr]
+const FILES = [
+  ['tesseract.js/dist/tesseract.min.js', 'tesseract.min.js'],
+  ['tesseract.js/dist/worker.min.js', 'worker.min.js'],
+  ['tesseract.js/LICENSE.md', 'LICENSE-tesseract.js.md'],
+  // Only the LSTM builds are used - the worker picks one by the browser's SIMD support
+  ['tesseract.js-core/tesseract-core-lstm.wasm.js', 'tesseract-core-lstm.wasm.js'],
+  ['tesseract.js-core/tesseract-core-simd-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js'],
+  ['tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js', 'tesseract-core-relaxedsimd-lstm.wasm.js'],
+  ['tesseract.js-core/LICENSE', 'LICENSE-tesseract.js-core'],
+  ['@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', 'eng.traineddata.gz']
+];
+
+fs.mkdirSync(TARGET, { recursive: true });
+for (const [from, to] of FILES) {
+  fs.copyFileSync(path.join(ROOT, 'node_modules', from), path.join(TARGET, to));
+}
+console.log(`OCR engine copied to ${path.relative(ROOT, TARGET)}`);
@@ -3,6 +3,8 @@
  * Handles settings management, badge updates, and cross-tab communication
  */
 
+importScripts('publicsuffix.js');
+
 // Default settings
 const DEFAULT_SETTINGS = {
   enabled: true,
@@ -12,6 +14,32 @@ const DEFAULT_SETTINGS = {
   linkStyle: 'default', // 'default', 'subtle', 'bold'
   trackHistory: true,
   expandShortUrls: true,
+  cleanUrls: true, // strip tracking parameters (cleanurls.js)
+  linkifyEmails: true,
+  linkifyPhones: true,
+  recoverObfuscatedLinks: false,
+  crossNodeLinks: true,
+  expandTruncatedLinks: true,
+  scanImagesForLinks: false,
+  dmPreload: false, // links in direct messages are not preloaded...
+  dmPreviewLookups: false, // ...or sent to preview services unless enabled
+  schemePolicies: {}, // per app scheme: 'link', 'confirm' or 'never'
+  siteInstagram: true, // per-site switches (sites.js)
+  siteThreads: true,
+  siteFacebook: true,
+  previewCacheBudgetMB: 5, // persistent preview cache size before LRU eviction
+  privacyMode: 'off', // 'off', 'allowList', 'firstParty' or 'none' - see checkEgress
+  egressAllowList: [], // service ids or hosts allowed in 'allowList' mode
+  shortUrlDomains: [], // user additions to SHORT_URL_DOMAINS
+  lookalikeWarnings: true, // flag homograph and lookalike domains (lookalike.js)
+  lookalikeMaxDistance: 1, // letters a domain may differ from a protected brand...
+  lookalikeMinLength: 6, // ...if the brand has at least this many
+  protectedBrands: [], // user brands as their official domains
+  ignoredBrands: [], // bundled brands not to protect
+  qrSize: 512, // QR image size in px for downloads and copies
+  qrErrorCorrection: 'M', // 'L', 'M', 'Q' or 'H'
+  logRejectedLinks: false, // log skipped URL candidates and why to the page console
+  preloadPreviews: false, // fetch previews before a link is hovered
   maxHistoryItems: 100
 };
 
@@ -61,8 +89,62 @@ async function handleMessage(message, sender) {
     case 'FETCH_LINK_PREVIEW':
       return fetchLinkPreview(message.url);
     
+    case 'CHECK_EGRESS':
+      return checkEgress(message.url, { purpose: message.purpose, linkUrl: message.linkUrl });
+    
+    case 'GET_EGRESS_LOG':
+      return getEgressLog();
+    
+    case 'CLEAR_EGRESS_LOG':
+      return clearEgressLog();
+    
+    case 'GET_CACHED_PREVIEW':
+      return getCachedPreview(message.url);
+    
+    case 'CACHE_PREVIEW':
+      return cachePreview(message.url, message.data, message.outcome);
+    
+    case 'GET_PREVIEW_CACHE_USAGE':
+      return getPreviewCacheUsage();
+    
+    case 'CLEAR_PREVIEW_CACHE':
+      return clearPreviewCache();
+    
     case 'EXPAND_URL':
-      return expandShortUrl(message.url);
+      return expandShortUrl(message.url, { onlyShort: message.onlyShort });
+    
+    case 'FETCH_BIO_LINKS':
+      return fetchBioLinks(message.url);
+    
+    case 'CHECK_LINK_HEALTH':
+      return checkLinkHealth(message.url);
+    
+    case 'READ_IMAGE_TEXT':
+      return readImageText(message.url);
+    
+    case 'GET_SELECTOR_PROFILE':
+      return getSelectorProfile(message.site);
+    
+    case 'SET_SELECTOR_PROFILE':
+      return setSelectorProfile(message.site, message.profile);
+    
+    case 'GET_CLEAN_URL_RULES':
+      return getCleanUrlRules();
+    
+    case 'SET_CLEAN_URL_RULES':
+      return setCleanUrlRules(message.rules);
+    
+    case 'GET_BLOCKLISTS':
+      return getBlocklists();
+    
+    case 'GET_BLOCKLIST_DATA':
+      return getBlocklistData();
+    
+    case 'SAVE_BLOCKLIST':
+      return saveBlocklist(message.list);
+    
+    case 'REMOVE_BLOCKLIST':
+      return removeBlocklist(message.id);
     
     default:
       console.warn('Unknown message type:', message.type);
@@ -86,17 +168,11 @@ async function updateSettings(newSettings) {
     const updatedSettings = { ...settings, ...newSettings };
     await chrome.storage.sync.set({ settings: updatedSettings });
     
-    // Notify all Instagram tabs about settings change
-    const tabs = await chrome.tabs.query({ url: ['*://www.instagram.com/*', '*://instagram.com/*'] });
-    for (const tab of tabs) {
-      try {
-        await chrome.tabs.sendMessage(tab.id, { 
-          type: 'SETTINGS_UPDATED', 
-          settings: updatedSettings 
-        });
-      } catch (e) {
-        // Tab might not have content script loaded
-      }
+    // Notify all supported tabs about settings change
+    await notifySiteTabs({ type: 'SETTINGS_UPDATED', settings: updatedSettings });
+
+    if (updatedSettings.previewCacheBudgetMB !== settings.previewCacheBudgetMB) {
+      await evictPreviewCache();
     }
     
     return { success: true, settings: updatedSettings };
@@ -106,6 +182,63 @@ async function updateSettings(newSettings) {
   }
 }
 
+// Every tab on a site the content script runs on (Instagram, Threads, Facebook)
+async function notifySiteTabs(message) {
+  const [{ matches }] = chrome.runtime.getManifest().content_scripts;
+  const tabs = await chrome.tabs.query({ url: matches });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, message);
+    } catch (e) {
+      // Tab might not have content script loaded
+    }
+  }
+}
+
+// Imported selector profiles by site id (validated by the popup) - none means bundled default
+async function getSelectorProfile(site) {
+  const { selectorProfiles = {} } = await chrome.storage.local.get('selectorProfiles');
+  return { success: true, profile: selectorProfiles[site] || null };
+}
+
+async function setSelectorProfile(site, profile) {
+  try {
+    const { selectorProfiles = {} } = await chrome.storage.local.get('selectorProfiles');
+    if (profile) {
+      selectorProfiles[site] = profile;
+    } else {
+      delete selectorProfiles[site];
+    }
+    await chrome.storage.local.set({ selectorProfiles });
+    await notifySiteTabs({ type: 'SELECTOR_PROFILE_UPDATED', site, profile: profile || null });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving selector profile:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Clean URL rules saved in the popup (validated there) - none means the bundled rules
+async function getCleanUrlRules() {
+  const { cleanUrlRules = null } = await chrome.storage.local.get('cleanUrlRules');
+  return { success: true, rules: cleanUrlRules };
+}
+
+async function setCleanUrlRules(rules) {
+  try {
+    if (rules) {
+      await chrome.storage.local.set({ cleanUrlRules: rules });
+    } else {
+      await chrome.storage.local.remove('cleanUrlRules');
+    }
+    await notifySiteTabs({ type: 'CLEAN_URL_RULES_UPDATED', rules: rules || null });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving clean URL rules:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 async function trackLinkClick(url) {
   try {
     if (!url) {
@@ -123,9 +256,13 @@ async function trackLinkClick(url) {
     
     const { clickHistory = [] } = await chrome.storage.local.get('clickHistory');
     
+    const parsedUrl = new URL(url);
     const entry = {
       url,
-      hostname: new URL(url).hostname.replace(/^www\./, ''),
+      // mailto:, tel: and app links are grouped by scheme instead of hostname
+      hostname: parsedUrl.protocol.startsWith('http')
+        ? parsedUrl.hostname.replace(/^www\./, '')
+        : parsedUrl.protocol.replace(':', ''),
       timestamp: Date.now(),
       id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
     };
@@ -195,80 +332,1268 @@ async function updateBadge(tabId, count) {
   }
 }
 
+// ============================================
+// NETWORK EGRESS
+// ============================================
+
+// Every request made on the user's behalf - by this worker or for images in the
+// preview card - passes checkEgress first. The privacy mode decides whether it
+// may leave the browser, and every decision is written to the audit log.
+const EGRESS_SERVICES = [
+  { id: 'google-favicons', name: 'Google favicons', hosts: ['www.google.com'] },
+  { id: 'youtube-thumbnails', name: 'YouTube thumbnails', hosts: ['img.youtube.com'] },
+  { id: 'github-cards', name: 'GitHub cards', hosts: ['opengraph.githubassets.com'] },
+  { id: 'twitter-assets', name: 'X (Twitter) assets', hosts: ['abs.twimg.com'] }
+];
+const MAX_EGRESS_LOG_ITEMS = 500;
+
+let egressLog = null;
+let egressLogSaveTimer = null;
+
+/**
+ * The site a host belongs to: its registrable domain (publicsuffix.js),
+ * shop.example.co.uk -> example.co.uk
+ */
+function getSiteKey(hostname) {
+  return InstaClickPublicSuffix.getRegistrableDomain(hostname);
+}
+
+function matchesHost(hostname, host) {
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+/**
+ * Who a request goes to: the linked site itself, a known service, or some other host
+ */
+function classifyEgress(url, linkUrl) {
+  const { hostname } = new URL(url);
+  let firstParty = false;
+  try {
+    firstParty = !!linkUrl && getSiteKey(new URL(linkUrl).hostname) === getSiteKey(hostname);
+  } catch {
+    // Not a web link - nothing is first-party
+  }
+
+  const service = EGRESS_SERVICES.find(known => known.hosts.some(host => matchesHost(hostname, host)));
+  return {
+    host: hostname,
+    firstParty,
+    serviceId: service?.id || null,
+    serviceName: firstParty ? 'Linked site' : service?.name || hostname
+  };
+}
+
+/**
+ * Whether a request may be made under the current privacy mode:
+ * - off: everything (still logged)
+ * - allowList: the linked site plus the services and hosts in egressAllowList
+ * - firstParty: only the linked site itself
+ * - none: nothing
+ * Whatever the mode, nothing goes to the user's own network (getLocalTargetReason).
+ * `reason` says why a request was blocked.
+ */
+async function checkEgress(url, { purpose, linkUrl = null }) {
+  let destination;
+  try {
+    destination = classifyEgress(url, linkUrl);
+  } catch {
+    return { success: false, allowed: false, error: 'Invalid URL' };
+  }
+
+  const { settings = DEFAULT_SETTINGS } = await chrome.storage.sync.get('settings');
+  const allowList = settings.egressAllowList || [];
+  let allowed;
+  switch (settings.privacyMode) {
+    case 'none':
+      allowed = false;
+      break;
+    case 'firstParty':
+      allowed = destination.firstParty;
+      break;
+    case 'allowList':
+      allowed = destination.firstParty || allowList.some(entry =>
+        entry === destination.serviceId || matchesHost(destination.host, entry)
+      );
+      break;
+    default:
+      allowed = true;
+  }
+
+  let reason = allowed ? null : 'Privacy mode';
+  if (allowed) {
+    reason = getLocalTargetReason(url);
+    allowed = !reason;
+  }
+
+  await recordEgress({
+    time: Date.now(),
+    service: destination.serviceName,
+    host: destination.host,
+    purpose,
+    allowed,
+    ...(reason && { reason })
+  });
+  return { success: true, allowed, reason };
+}
+
+/**
+ * fetch() behind the egress gate. Blocked requests throw an EgressBlockedError.
+ */
+async function egressFetch(url, init, { purpose, linkUrl, trace = null }) {
+  const { allowed, reason } = await checkEgress(url, { purpose, linkUrl });
+  if (!allowed) {
+    const error = new Error(reason === 'Privacy mode' ? 'Blocked by privacy mode' : `Blocked: ${reason.toLowerCase()}`);
+    error.name = 'EgressBlockedError';
+    throw error;
+  }
+  if (!trace) return fetch(url, init);
+
+  const key = getTraceKey(url);
+  const queue = pendingTraces.get(key) || [];
+  queue.push(trace);
+  pendingTraces.set(key, queue);
+  try {
+    return await fetch(url, init);
+  } finally {
+    // Still queued if webRequest never saw the request start
+    removePendingTrace(key, trace);
+  }
+}
+
+async function loadEgressLog() {
+  if (!egressLog) {
+    const { egressLog: stored = [] } = await chrome.storage.local.get('egressLog');
+    egressLog = stored;
+  }
+  return egressLog;
+}
+
+// Entries come in bursts (a card and its images) - write them back in batches
+async function recordEgress(entry) {
+  const log = await loadEgressLog();
+  log.unshift(entry);
+  log.length = Math.min(log.length, MAX_EGRESS_LOG_ITEMS);
+
+  clearTimeout(egressLogSaveTimer);
+  egressLogSaveTimer = setTimeout(() => {
+    chrome.storage.local.set({ egressLog }).catch(() => {});
+  }, 1000);
+}
+
+async function getEgressLog() {
+  try {
+    return { success: true, log: await loadEgressLog(), services: EGRESS_SERVICES };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function clearEgressLog() {
+  try {
+    clearTimeout(egressLogSaveTimer);
+    egressLog = [];
+    await chrome.storage.local.set({ egressLog });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// LOCAL NETWORK GUARD
+// ============================================
+
+// A caption can link to the viewer's own network - a router admin page, a
+// printer, a dev server on localhost. Requests made from here would reach it
+// from inside and reveal what answers, so hosts that are local by their name
+// or address are never contacted. Names are not resolved first: extensions
+// have no DNS API, and asking a DNS-over-HTTPS service would tell it about
+// every link.
+
+// Names that only mean something on a local network
+const LOCAL_HOST_SUFFIXES = [
+  'localhost', 'local', 'localdomain', 'internal', 'intranet', 'lan', 'home',
+  'home.arpa', 'corp', 'private', 'fritz.box', 'speedport.ip'
+];
+
+// Private, loopback, link-local, shared, benchmarking, documentation and multicast/reserved
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+];
+
+// Wildcard DNS names carrying an address (10.0.0.1.nip.io, 192-168-1-1.sslip.io)
+const EMBEDDED_IPV4_PATTERN = /(?:^|[.-])(\d{1,3}([.-])\d{1,3}\2\d{1,3}\2\d{1,3})(?=[.-]|$)/g;
+
+/**
+ * Why a URL points into a local network, or null when it doesn't
+ */
+function getLocalTargetReason(url) {
+  const parsed = new URL(url);
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+
+  const hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  if (hostname.startsWith('[')) {
+    return isPrivateIPv6(hostname.slice(1, -1)) ? 'Local network address' : null;
+  }
+  if (parseIPv4(hostname) !== null) {
+    return isPrivateIPv4(hostname) ? 'Local network address' : null;
+  }
+  if (!hostname.includes('.')) return 'Single-label host';
+  if (LOCAL_HOST_SUFFIXES.some(suffix => matchesHost(hostname, suffix))) return 'Local network name';
+
+  for (const [, address] of hostname.matchAll(EMBEDDED_IPV4_PATTERN)) {
+    if (isPrivateIPv4(address.replace(/-/g, '.'))) return 'Local network address';
+  }
+  return null;
+}
+
+function parseIPv4(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function isPrivateIPv4(address) {
+  const value = parseIPv4(address);
+  return value !== null && PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(parseIPv4(base) / size);
+  });
+}
+
+// Eight 16-bit groups, or null
+function parseIPv6(address) {
+  let text = address.toLowerCase();
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = parseIPv4(dotted[2]);
+    if (value === null) return null;
+    text = `${dotted[1]}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(missing).fill('0'), ...tail];
+  return groups.every(group => /^[0-9a-f]{1,4}$/.test(group)) ? groups.map(group => parseInt(group, 16)) : null;
+}
+
+function isPrivateIPv6(address) {
+  const groups = parseIPv6(address);
+  if (!groups) return false;
+
+  const [first, second] = groups;
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+  // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) addresses are as private as their IPv4 part
+  if ((zeros(0, 5) && groups[5] === 0xffff) || (first === 0x64 && second === 0xff9b && zeros(2, 6))) {
+    return isPrivateIPv4([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+  }
+  return zeros(0, 7) && groups[7] <= 1 || // :: and ::1
+    (first & 0xfe00) === 0xfc00 || // unique local
+    (first & 0xffc0) === 0xfe80 || // link-local
+    (first & 0xff00) === 0xff00 || // multicast
+    (first === 0x2001 && second === 0x0db8); // documentation
+}
+
+// Preview cards are built from the page's own metadata, fetched here so no
+// third-party service sees the links. Only the <head> is needed, so reading
+// stops there or at the size limit.
+const PREVIEW_FETCH_TIMEOUT_MS = 8000;
+const REDIRECT_EVENT_WAIT_MS = 200;
+const PREVIEW_MAX_BYTES = 512 * 1024;
+const OEMBED_MAX_BYTES = 64 * 1024;
+
 async function fetchLinkPreview(url) {
-  // Don't make direct fetch requests - they cause CORS errors in console
-  // Instead, just return basic info and let the content script use screenshot services
-  
+  const trace = createTrace();
   try {
-    const parsedUrl = new URL(url);
-    const domain = parsedUrl.hostname;
-    
-    // Return basic info - the preview.js will add screenshot thumbnails
-    return { 
-      success: true, 
-      data: {
-        title: domain,
-        description: parsedUrl.pathname !== '/' ? parsedUrl.pathname : url,
-        image: null,
-        favicon: `https://www.google.com/s2/favicons?domain=${domain}&sz=32`,
-        is404: false,
-        useScreenshot: true // Flag to tell preview.js to use screenshot service
-      }
+    const page = await fetchLimited(url, PREVIEW_MAX_BYTES, {
+      stopPattern: /<\/head\s*>/i, purpose: 'Link preview', linkUrl: url, trace
+    });
+    if (!page.response.ok) {
+      const { status } = page.response;
+      return { success: false, status, health: { state: classifyStatus(status), status } };
+    }
+
+    const finalUrl = page.response.url || url;
+    const contentType = page.response.headers.get('content-type') || '';
+
+    // Direct links to images are their own preview
+    if (contentType.startsWith('image/')) {
+      return { success: true, data: normalizePreview(finalUrl, { image: finalUrl }) };
+    }
+    if (!/html|xml/i.test(contentType)) {
+      return { success: true, data: normalizePreview(finalUrl, {}) };
+    }
+
+    const meta = extractPageMetadata(page.text, finalUrl);
+    if (isParkedPage(finalUrl, page.text)) {
+      meta.health = { state: 'parked', status: page.response.status };
+    }
+
+    // oEmbed fills in what the page's own tags leave out (mostly video sites)
+    if (meta.oembedUrl && (!meta.title || !meta.image)) {
+      const oembed = await fetchOEmbed(meta.oembedUrl, url);
+      meta.title = meta.title || oembed.title || '';
+      meta.image = meta.image || oembed.image || null;
+      meta.siteName = meta.siteName || oembed.siteName || '';
+      if (oembed.type === 'video') meta.type = 'video';
+    }
+
+    return { success: true, data: normalizePreview(finalUrl, meta) };
+  } catch (error) {
+    if (error.name === 'EgressBlockedError') {
+      return { success: false, blocked: true, error: error.message };
+    }
+    const health = classifyNetworkError(error, trace);
+    return { success: false, error: health.error, health };
+  }
+}
+
+/**
+ * Fetch a URL (through the egress gate) without cookies, giving up after
+ * PREVIEW_FETCH_TIMEOUT_MS and reading at most maxBytes of the body (less once
+ * stopPattern has been seen). Redirects are followed here, one gated request
+ * per hop, and recorded on the trace.
+ */
+async function fetchLimited(url, maxBytes, { method = 'GET', stopPattern = null, purpose, linkUrl, trace = createTrace() }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PREVIEW_FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetchFollowingRedirects(url, {
+      method,
+      credentials: 'omit',
+      signal: controller.signal,
+      headers: { Accept: 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.8' }
+    }, { purpose, linkUrl, trace });
+    if (!response.ok || !response.body) {
+      return { response, text: '' };
+    }
+
+    const decoder = createDecoder(response.headers.get('content-type'));
+    const reader = response.body.getReader();
+    let text = '';
+    let bytes = 0;
+
+    while (bytes < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytes += value.byteLength;
+      text += decoder.decode(value, { stream: true });
+      if (stopPattern?.test(text)) break;
+    }
+    reader.cancel().catch(() => {});
+
+    return { response, text: text.slice(0, maxBytes) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * fetch() with redirect: 'manual', requesting each hop itself so every one
+ * passes the egress gate (and the local network guard) and is logged.
+ * Hops go to trace.hops as { url, status, location }.
+ */
+async function fetchFollowingRedirects(url, init, { purpose, linkUrl, trace }) {
+  const visited = new Set([url]);
+  let current = url;
+
+  for (;;) {
+    const hop = createTrace();
+    let response;
+    try {
+      response = await egressFetch(current, { ...init, redirect: 'manual' }, { purpose, linkUrl, trace: hop });
+    } catch (error) {
+      trace.error = hop.error;
+      throw error;
+    }
+
+    const location = await getRedirectLocation(response, current, hop);
+    if (!location) return response;
+
+    trace.hops.push({ url: current, status: response.status || hop.hops[0]?.status || null, location });
+    if (visited.has(location) || trace.hops.length > MAX_REDIRECT_HOPS) {
+      trace.error = 'net::ERR_TOO_MANY_REDIRECTS';
+      throw new TypeError('Failed to fetch');
+    }
+    visited.add(location);
+    current = location;
+  }
+}
+
+/**
+ * Where a redirect response points, or null when it isn't one (or leads
+ * somewhere other than an http(s) URL). Chrome hides the Location header of
+ * manual redirects, so it is taken from webRequest's record of the hop, which
+ * can arrive just after fetch() settles.
+ */
+async function getRedirectLocation(response, url, hop) {
+  const isRedirect = response.type === 'opaqueredirect' || (response.status >= 300 && response.status < 400);
+  if (!isRedirect) return null;
+
+  let location = response.headers.get('location');
+  const key = getTraceKey(url);
+  for (let waited = 0; !location && chrome.webRequest && waited < REDIRECT_EVENT_WAIT_MS; waited += 10) {
+    location = hop.hops.find(entry => entry.url === key)?.location;
+    if (!location) await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return resolveHttpUrl(location, url);
+}
+
+function createDecoder(contentType) {
+  const charset = contentType?.match(/charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8');
+  } catch {
+    return new TextDecoder('utf-8');
+  }
+}
+
+/**
+ * Read og:*, twitter:*, <title>, icons and the oEmbed endpoint from a page.
+ * Service workers have no DOMParser, so tags are matched with regexes.
+ */
+function extractPageMetadata(html, baseUrl) {
+  const head = html.split(/<\/head\s*>/i)[0];
+  const meta = {};
+  const links = [];
+
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = parseTagAttributes(tag);
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content !== undefined && !(key in meta)) {
+      meta[key] = decodeHtmlEntities(attrs.content).trim();
+    }
+  }
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    links.push(parseTagAttributes(tag));
+  }
+
+  const titleTag = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const relIncludes = (link, value) => (link.rel || '').toLowerCase().split(/\s+/).includes(value);
+  const icon = links.find(link => relIncludes(link, 'icon')) ||
+    links.find(link => relIncludes(link, 'apple-touch-icon'));
+  const oembed = links.find(link =>
+    relIncludes(link, 'alternate') && (link.type || '').toLowerCase() === 'application/json+oembed'
+  );
+
+  return {
+    title: meta['og:title'] || meta['twitter:title'] ||
+      (titleTag ? decodeHtmlEntities(titleTag[1]).replace(/\s+/g, ' ').trim() : ''),
+    description: meta['og:description'] || meta['twitter:description'] || meta.description || '',
+    image: resolveHttpUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl),
+    siteName: meta['og:site_name'] || '',
+    type: (meta['og:type'] || '').startsWith('video') || meta['twitter:card'] === 'player' ? 'video' : 'website',
+    favicon: resolveHttpUrl(icon?.href, baseUrl),
+    oembedUrl: resolveHttpUrl(oembed?.href && decodeHtmlEntities(oembed.href), baseUrl)
+  };
+}
+
+/**
+ * Attributes of a single start tag as a lowercase-keyed object
+ */
+function parseTagAttributes(tag) {
+  const attrs = {};
+  const attrRegex = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g;
+  for (const match of tag.replace(/^<\w+/, '').matchAll(attrRegex)) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attrs;
+}
+
+// Only http(s) URLs make it into a card - no javascript:, data: or file: images
+function resolveHttpUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const resolved = new URL(value, baseUrl);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+async function fetchOEmbed(endpoint, linkUrl) {
+  try {
+    const { response, text } = await fetchLimited(endpoint, OEMBED_MAX_BYTES, { purpose: 'Link preview (oEmbed)', linkUrl });
+    if (!response.ok) return {};
+
+    const data = JSON.parse(text);
+    return {
+      title: typeof data.title === 'string' ? data.title : '',
+      image: resolveHttpUrl(data.thumbnail_url, endpoint),
+      siteName: typeof data.provider_name === 'string' ? data.provider_name : '',
+      type: data.type === 'video' ? 'video' : 'website'
     };
-    
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The preview object LinkPreviewManager renders
+ */
+function normalizePreview(url, meta) {
+  const parsedUrl = new URL(url);
+  const domain = parsedUrl.hostname.replace(/^www\./, '');
+
+  return {
+    type: meta.type || 'website',
+    url,
+    domain,
+    title: (meta.title || domain).slice(0, 200),
+    description: (meta.description || '').slice(0, 300),
+    image: meta.image || null,
+    favicon: meta.favicon || `${parsedUrl.origin}/favicon.ico`,
+    siteName: meta.siteName || '',
+    health: meta.health || { state: 'ok' }
+  };
+}
+
+// ============================================
+// PREVIEW CACHE
+// ============================================
+
+// Preview results shared by all tabs and kept across reloads. Each entry is its
+// own storage.local key; the index holds sizes, expiry and last use for eviction.
+const PREVIEW_CACHE_PREFIX = 'previewCache:';
+const PREVIEW_CACHE_TTL_MS = {
+  ok: 24 * 60 * 60 * 1000,
+  notFound: 6 * 60 * 60 * 1000,
+  error: 10 * 60 * 1000
+};
+
+let previewCacheIndex = null;
+let previewCacheSaveTimer = null;
+
+async function loadPreviewCacheIndex() {
+  if (!previewCacheIndex) {
+    const { previewCacheIndex: stored = {} } = await chrome.storage.local.get('previewCacheIndex');
+    previewCacheIndex = stored;
+  }
+  return previewCacheIndex;
+}
+
+// Last-used times change on every hit - write them back in batches
+function savePreviewCacheIndexSoon() {
+  clearTimeout(previewCacheSaveTimer);
+  previewCacheSaveTimer = setTimeout(() => {
+    chrome.storage.local.set({ previewCacheIndex }).catch(() => {});
+  }, 1000);
+}
+
+async function getCachedPreview(url) {
+  try {
+    const index = await loadPreviewCacheIndex();
+    const entry = index[url];
+    if (!entry) return { success: true, data: null };
+
+    if (entry.expiresAt <= Date.now()) {
+      await removePreviewCacheEntries([url]);
+      return { success: true, data: null };
+    }
+
+    const key = PREVIEW_CACHE_PREFIX + url;
+    const { [key]: data = null } = await chrome.storage.local.get(key);
+    if (!data) {
+      await removePreviewCacheEntries([url]);
+      return { success: true, data: null };
+    }
+
+    entry.lastUsed = Date.now();
+    savePreviewCacheIndexSoon();
+    return { success: true, data, outcome: entry.outcome };
   } catch (error) {
-    console.error('Error parsing URL:', error);
-    return { 
-      success: false, 
-      error: error.message,
-      data: {
-        is404: false,
-        title: 'Invalid URL',
-        description: url
+    console.error('Error reading preview cache:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Store a preview. `outcome` ('ok', 'notFound' or 'error') picks the TTL.
+ */
+async function cachePreview(url, data, outcome = 'ok') {
+  try {
+    if (!url || !data) return { success: false, error: 'Nothing to cache' };
+
+    const index = await loadPreviewCacheIndex();
+    const now = Date.now();
+    index[url] = {
+      outcome,
+      bytes: new TextEncoder().encode(url + JSON.stringify(data)).byteLength,
+      expiresAt: now + (PREVIEW_CACHE_TTL_MS[outcome] ?? PREVIEW_CACHE_TTL_MS.error),
+      lastUsed: now
+    };
+
+    await chrome.storage.local.set({ [PREVIEW_CACHE_PREFIX + url]: data });
+    await evictPreviewCache();
+    return { success: true };
+  } catch (error) {
+    console.error('Error writing preview cache:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Drop expired entries, then the least recently used ones until the cache
+ * fits the byte budget from settings
+ */
+async function evictPreviewCache() {
+  const index = await loadPreviewCacheIndex();
+  const { settings = DEFAULT_SETTINGS } = await chrome.storage.sync.get('settings');
+  const budget = (settings.previewCacheBudgetMB ?? DEFAULT_SETTINGS.previewCacheBudgetMB) * 1024 * 1024;
+  const now = Date.now();
+
+  const evicted = [];
+  const live = [];
+  for (const [url, entry] of Object.entries(index)) {
+    if (entry.expiresAt <= now) evicted.push(url);
+    else live.push([url, entry]);
+  }
+
+  let total = live.reduce((sum, [, entry]) => sum + entry.bytes, 0);
+  live.sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+  for (const [url, entry] of live) {
+    if (total <= budget) break;
+    evicted.push(url);
+    total -= entry.bytes;
+  }
+
+  await removePreviewCacheEntries(evicted);
+}
+
+async function removePreviewCacheEntries(urls) {
+  const index = await loadPreviewCacheIndex();
+  for (const url of urls) delete index[url];
+
+  clearTimeout(previewCacheSaveTimer);
+  if (urls.length > 0) {
+    await chrome.storage.local.remove(urls.map(url => PREVIEW_CACHE_PREFIX + url));
+  }
+  await chrome.storage.local.set({ previewCacheIndex: index });
+}
+
+async function getPreviewCacheUsage() {
+  try {
+    const index = await loadPreviewCacheIndex();
+    const { settings = DEFAULT_SETTINGS } = await chrome.storage.sync.get('settings');
+    const entries = Object.values(index);
+    return {
+      success: true,
+      usage: {
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+        budgetBytes: (settings.previewCacheBudgetMB ?? DEFAULT_SETTINGS.previewCacheBudgetMB) * 1024 * 1024
       }
     };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function clearPreviewCache() {
+  try {
+    const index = await loadPreviewCacheIndex();
+    await removePreviewCacheEntries(Object.keys(index));
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing preview cache:', error);
+    return { success: false, error: error.message };
   }
 }
 
-// Known URL shortener domains
+// ============================================
+// SHORT URL EXPANSION
+// ============================================
+
+// Known URL shortener domains, matched on the exact host or a subdomain. Users
+// can add their own (shortUrlDomains setting).
 const SHORT_URL_DOMAINS = [
   'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
   'adf.ly', 'j.mp', 'dlvr.it', 'tiny.cc', 'lnkd.in', 'db.tt', 'qr.ae',
   'cur.lv', 'youtu.be', 'soo.gd', 'su.pr', 'bl.ink', 'short.io', 'rebrand.ly'
 ];
+const MAX_REDIRECT_HOPS = 10;
+const REDIRECT_PAGE_MAX_BYTES = 64 * 1024;
+// Script redirects are only trusted on small interstitial pages - on a real
+// page a location assignment is more likely a click handler
+const SCRIPT_REDIRECT_MAX_BYTES = 16 * 1024;
+const MAX_EXPANDED_URLS = 200;
+
+const SCRIPT_REDIRECT_PATTERNS = [
+  /(?:window\.|document\.|top\.|self\.)?location(?:\.href)?\s*=\s*(["'])(.+?)\1/,
+  /location\.(?:replace|assign)\(\s*(["'])(.+?)\1\s*\)/
+];
 
-function isShortUrl(url) {
+const expandedUrls = new Map(); // URL -> result (or promise while in flight), oldest first
+
+function isShortUrl(url, extraDomains = []) {
   try {
-    const hostname = new URL(url).hostname.toLowerCase();
-    return SHORT_URL_DOMAINS.some(domain => hostname.includes(domain));
+    const hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+    return [...SHORT_URL_DOMAINS, ...extraDomains].some(domain => matchesHost(hostname, domain));
   } catch {
     return false;
   }
 }
 
-async function expandShortUrl(url) {
+/**
+ * Follow a link's redirects here, hop by hop, and return the chain:
+ * [{ url, status, via }] where `via` says how that step led to the next one
+ * ('http', 'refresh' or 'script') and the last step is the destination.
+ * With `onlyShort`, links that aren't on a shortener are left alone.
+ */
+async function expandShortUrl(url, { onlyShort = false } = {}) {
   try {
-    // First try unshorten.me API
+    if (onlyShort) {
+      const { settings = DEFAULT_SETTINGS } = await chrome.storage.sync.get('settings');
+      if (!isShortUrl(url, settings.shortUrlDomains)) {
+        return { success: true, shortened: false, expandedUrl: url, chain: [] };
+      }
+    }
+
+    if (!expandedUrls.has(url)) {
+      expandedUrls.set(url, traceRedirects(url).then(result => {
+        // Failures are retried next time
+        if (result.success) {
+          expandedUrls.set(url, result);
+          if (expandedUrls.size > MAX_EXPANDED_URLS) expandedUrls.delete(expandedUrls.keys().next().value);
+        } else {
+          expandedUrls.delete(url);
+        }
+        return result;
+      }));
+    }
+    return { ...await expandedUrls.get(url), shortened: true };
+  } catch (error) {
+    console.error('Error expanding URL:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function traceRedirects(url) {
+  const chain = [];
+  const visited = new Set();
+  let current = url;
+
+  while (chain.length < MAX_REDIRECT_HOPS) {
+    visited.add(current);
+    const trace = createTrace();
+    let page;
     try {
-      const response = await fetch(`https://unshorten.me/json/${encodeURIComponent(url)}`);
-      const data = await response.json();
-      
-      if (data.resolved_url && data.resolved_url !== url) {
-        return { success: true, expandedUrl: data.resolved_url };
+      // Each hop is first-party to itself - it's where the link leads
+      page = await fetchLimited(current, REDIRECT_PAGE_MAX_BYTES, {
+        purpose: 'Expand short URL', linkUrl: current, trace
+      });
+    } catch (error) {
+      chain.push(...getHttpHops(trace));
+      if (error.name === 'EgressBlockedError') {
+        return { success: false, blocked: true, error: 'Blocked by privacy mode', expandedUrl: current, chain };
       }
-    } catch (e) {
-      console.log('unshorten.me failed, trying direct follow');
+      return { success: false, error: classifyNetworkError(error, trace).error, expandedUrl: current, chain };
     }
-    
-    // Fallback: Return original URL with note
-    return { 
-      success: false, 
-      error: 'Could not expand URL',
-      expandedUrl: url 
+
+    const { response, text } = page;
+    const finalUrl = response.url || current;
+    chain.push(...getHttpHops(trace));
+
+    const next = response.ok ? findClientRedirect(response, text, finalUrl) : null;
+    if (!next) {
+      chain.push({ url: finalUrl, status: response.status, via: null });
+      return { success: true, expandedUrl: finalUrl, chain };
+    }
+    if (visited.has(next.url)) {
+      chain.push({ url: finalUrl, status: response.status, via: next.via });
+      return { success: false, error: 'Redirect loop', expandedUrl: finalUrl, chain };
+    }
+
+    chain.push({ url: finalUrl, status: response.status, via: next.via });
+    current = next.url;
+  }
+
+  return { success: false, error: `More than ${MAX_REDIRECT_HOPS} redirects`, expandedUrl: current, chain };
+}
+
+// HTTP redirects followed by fetchLimited - a loop is cut after its first repeat
+function getHttpHops(trace) {
+  const hops = [];
+  const seen = new Set();
+  for (const hop of trace.hops) {
+    hops.push({ url: hop.url, status: hop.status, via: 'http' });
+    if (seen.has(hop.url)) break;
+    seen.add(hop.url);
+  }
+  return hops;
+}
+
+/**
+ * Redirects done by the page rather than the server: a Refresh header,
+ * <meta http-equiv="refresh">, or a location assignment in a tiny page
+ */
+function findClientRedirect(response, html, baseUrl) {
+  const refreshTarget = value => {
+    const match = value?.match(/^\s*\d*(?:\.\d+)?\s*[;,]\s*(?:url\s*=\s*)?['"]?([^'"\s]+)/i);
+    return match ? resolveHttpUrl(decodeHtmlEntities(match[1]), baseUrl) : null;
+  };
+
+  const header = refreshTarget(response.headers.get('refresh'));
+  if (header) return { url: header, via: 'refresh' };
+
+  const head = html.split(/<\/head\s*>/i)[0];
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = parseTagAttributes(tag);
+    if (attrs['http-equiv']?.toLowerCase() === 'refresh') {
+      const target = refreshTarget(attrs.content);
+      if (target) return { url: target, via: 'refresh' };
+    }
+  }
+
+  if (html.length <= SCRIPT_REDIRECT_MAX_BYTES) {
+    for (const [script] of html.matchAll(/<script\b[^>]*>[\s\S]*?<\/script>/gi)) {
+      for (const pattern of SCRIPT_REDIRECT_PATTERNS) {
+        const match = script.match(pattern);
+        const target = match && resolveHttpUrl(match[2].replace(/\\\//g, '/'), baseUrl);
+        if (target) return { url: target, via: 'script' };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Link-in-bio pages (linktr.ee, beacons.ai...)
+const MAX_BIO_LINKS = 25;
+const BIO_PAGE_MAX_BYTES = 4 * 1024 * 1024; // the link list is in the page's JSON, after the <head>
+
+async function fetchBioLinks(url) {
+  const trace = createTrace();
+  try {
+    const { response, text: html } = await fetchLimited(url, BIO_PAGE_MAX_BYTES, { purpose: 'Link-in-bio list', linkUrl: url, trace });
+    if (!response.ok) {
+      return { success: false, status: response.status, health: { state: classifyStatus(response.status), status: response.status } };
+    }
+
+    const pageHost = new URL(response.url).hostname.replace(/^www\./, '');
+
+    // Next.js pages (Linktree, Beacons) carry the link list as JSON; others only as <a> tags
+    const nextDataLinks = extractNextDataLinks(html);
+    const candidates = nextDataLinks.length > 0 ? nextDataLinks : extractAnchorLinks(html);
+
+    const links = [];
+    const seen = new Set();
+    for (const candidate of candidates) {
+      let parsed;
+      try {
+        parsed = new URL(candidate.url, response.url);
+      } catch {
+        continue;
+      }
+
+      // Skip the aggregator's own navigation, legal and asset links
+      const host = parsed.hostname.replace(/^www\./, '');
+      if (!/^https?:$/.test(parsed.protocol) || host === pageHost || host.endsWith(`.${pageHost}`)) continue;
+      if (seen.has(parsed.href)) continue;
+
+      seen.add(parsed.href);
+      links.push({ title: candidate.title.trim().slice(0, 100), url: parsed.href });
+      if (links.length >= MAX_BIO_LINKS) break;
+    }
+
+    return { success: true, title: extractPageTitle(html), links };
+  } catch (error) {
+    if (error.name === 'EgressBlockedError') {
+      return { success: false, blocked: true, error: error.message };
+    }
+    console.error('Error fetching link-in-bio page:', error);
+    return { success: false, error: error.message, health: classifyNetworkError(error, trace) };
+  }
+}
+
+/**
+ * Collect {title, url} objects from a page's __NEXT_DATA__ JSON
+ */
+function extractNextDataLinks(html) {
+  const match = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
+  if (!match) return [];
+
+  let data;
+  try {
+    data = JSON.parse(match[1]);
+  } catch {
+    return [];
+  }
+
+  const links = [];
+  const stack = [data];
+  while (stack.length > 0 && links.length < MAX_BIO_LINKS * 4) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object') continue;
+
+    if (typeof node.url === 'string' && /^https?:\/\//.test(node.url) && typeof node.title === 'string') {
+      links.push({ title: node.title, url: node.url });
+    }
+    // Reverse so links come out in page order
+    stack.push(...Object.values(node).reverse());
+  }
+  return links;
+}
+
+/**
+ * Collect {title, url} pairs from the page's absolute <a href> links
+ */
+function extractAnchorLinks(html) {
+  const links = [];
+  const anchorRegex = /<a\b[^>]*?\bhref\s*=\s*["'](https?:\/\/[^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = anchorRegex.exec(html)) !== null) {
+    const text = match[2].replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ');
+    links.push({ title: decodeHtmlEntities(text), url: decodeHtmlEntities(match[1]) });
+  }
+  return links;
+}
+
+function extractPageTitle(html) {
+  const ogTitle = html.match(/<meta[^>]+property=["']og:title["'][^>]+content=["']([^"']*)["']/i);
+  const title = ogTitle || html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  return title ? decodeHtmlEntities(title[1]).trim() : '';
+}
+
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+// ============================================
+// LINK HEALTH
+// ============================================
+
+// Links are probed here: HEAD first, GET when HEAD gets no usable answer (many
+// servers reject or mishandle it). fetch() reports every network failure as
+// the same TypeError, so the net::ERR_* code of our own requests is picked up
+// from webRequest events and kept on a trace, along with the redirect targets
+// Chrome hides from manual redirects.
+const LINK_HEALTH_MAX_BYTES = 64 * 1024;
+const EXTENSION_ORIGIN = chrome.runtime.getURL('').slice(0, -1); // webRequest's initiator for our own requests
+
+// Hosts parked and for-sale domains redirect to
+const PARKING_HOSTS = [
+  'sedoparking.com', 'parkingcrew.net', 'bodis.com', 'above.com', 'parklogic.com',
+  'dan.com', 'afternic.com', 'hugedomains.com', 'undeveloped.com', 'domainmarket.com',
+  'sedo.com', 'buydomains.com', 'domainnamesales.com'
+];
+const PARKED_PAGE_PATTERN = /this domain (name )?(is|may be) for sale|buy this domain|domain is parked|parked free,? courtesy of|sedoparking\.com|parkingcrew\.net|bodis\.com\/|window\.park\s*=/i;
+
+// Chrome network error codes, by failure class
+const NET_ERROR_CLASSES = [
+  { state: 'dns', pattern: /^net::ERR_NAME_(NOT_RESOLVED|RESOLUTION_FAILED)$/ },
+  { state: 'tls', pattern: /^net::ERR_(CERT_|SSL_|BAD_SSL_)/ },
+  { state: 'timeout', pattern: /^net::ERR_(CONNECTION_)?TIMED_OUT$/ },
+  { state: 'redirectLoop', pattern: /^net::ERR_TOO_MANY_REDIRECTS$/ }
+];
+
+const pendingTraces = new Map(); // normalized URL -> traces of requests not started yet, oldest first
+const activeTraces = new Map(); // webRequest requestId -> trace
+const healthChecks = new Map(); // URL -> check in flight, shared by concurrent callers
+
+function createTrace() {
+  return { hops: [], error: null };
+}
+
+// webRequest reports URLs without the fragment
+function getTraceKey(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+function removePendingTrace(key, trace) {
+  const queue = pendingTraces.get(key);
+  const index = queue?.indexOf(trace) ?? -1;
+  if (index === -1) return;
+  queue.splice(index, 1);
+  if (queue.length === 0) pendingTraces.delete(key);
+}
+
+if (chrome.webRequest) {
+  const filter = { urls: ['http://*/*', 'https://*/*'] };
+  const isOwnRequest = details => details.initiator === EXTENSION_ORIGIN;
+
+  // Requests for the same URL start in the order they were made, so each
+  // takes the oldest trace waiting for it
+  chrome.webRequest.onBeforeRequest.addListener(details => {
+    if (!isOwnRequest(details) || activeTraces.has(details.requestId)) return;
+    const trace = pendingTraces.get(details.url)?.[0];
+    if (trace) {
+      removePendingTrace(details.url, trace);
+      activeTraces.set(details.requestId, trace);
+    }
+  }, filter);
+
+  chrome.webRequest.onBeforeRedirect.addListener(details => {
+    activeTraces.get(details.requestId)?.hops.push({
+      url: details.url, status: details.statusCode, location: details.redirectUrl
+    });
+  }, filter);
+
+  chrome.webRequest.onErrorOccurred.addListener(details => {
+    const trace = activeTraces.get(details.requestId);
+    if (trace) {
+      trace.error = details.error;
+      activeTraces.delete(details.requestId);
+    }
+  }, filter);
+
+  chrome.webRequest.onCompleted.addListener(details => {
+    activeTraces.delete(details.requestId);
+  }, filter);
+}
+
+/**
+ * Health of a link: { state, status?, error?, finalUrl? }. state is 'ok',
+ * 'notFound' (404/410), 'serverError' (5xx), 'dns', 'tls', 'timeout',
+ * 'redirectLoop', 'parked', 'unreachable', or 'unknown' when privacy mode
+ * blocked the check.
+ */
+async function checkLinkHealth(url) {
+  if (!healthChecks.has(url)) {
+    const check = probeLinkHealth(url).finally(() => healthChecks.delete(url));
+    healthChecks.set(url, check);
+  }
+  return { success: true, health: await healthChecks.get(url) };
+}
+
+async function probeLinkHealth(url) {
+  const head = await probeLink(url, 'HEAD');
+  // Servers that reject or mishandle HEAD (405, 404 from GET-only routes, 5xx,
+  // dropped connections) get a second chance with GET. DNS, TLS, timeout and
+  // redirect loop failures wouldn't change.
+  if (head.status >= 400 || head.state === 'unreachable') {
+    return probeLink(url, 'GET');
+  }
+  return head;
+}
+
+async function probeLink(url, method) {
+  const trace = createTrace();
+  try {
+    const { response, text } = await fetchLimited(url, LINK_HEALTH_MAX_BYTES, {
+      method, purpose: 'Link check', linkUrl: url, trace
+    });
+    const finalUrl = response.url || url;
+    const state = classifyStatus(response.status);
+
+    if (state === 'ok' && isParkedPage(finalUrl, text)) {
+      return { state: 'parked', status: response.status, finalUrl };
+    }
+    return { state, status: response.status, finalUrl };
+  } catch (error) {
+    if (error.name === 'EgressBlockedError') {
+      return { state: 'unknown', error: error.message };
+    }
+    return classifyNetworkError(error, trace);
+  }
+}
+
+// Other 4xx (401, 403, 429...) mean the server is there and answered
+function classifyStatus(status) {
+  if (status === 404 || status === 410) return 'notFound';
+  if (status >= 500) return 'serverError';
+  return 'ok';
+}
+
+function classifyNetworkError(error, trace) {
+  if (error.name === 'AbortError') {
+    return { state: 'timeout', error: 'Timed out' };
+  }
+
+  const visited = new Set();
+  for (const hop of trace.hops) {
+    if (visited.has(hop.url)) {
+      return { state: 'redirectLoop', error: 'Redirect loop' };
+    }
+    visited.add(hop.url);
+  }
+
+  const match = trace.error && NET_ERROR_CLASSES.find(({ pattern }) => pattern.test(trace.error));
+  return { state: match ? match.state : 'unreachable', error: trace.error || error.message };
+}
+
+function isParkedPage(url, html) {
+  const host = new URL(url).hostname;
+  return PARKING_HOSTS.some(parkingHost => matchesHost(host, parkingHost)) || PARKED_PAGE_PATTERN.test(html);
+}
+
+// ============================================
+// BLOCKLISTS
+// ============================================
+
+// Imported from files by the popup (parsed with blocklist.js) - nothing is
+// downloaded, a list only changes when a file is imported again. The index
+// holds what the popup shows, the domains of each list are kept under their
+// own key so the index stays small.
+const BLOCKLIST_PREFIX = 'blocklist:';
+
+async function getBlocklists() {
+  const { blocklists = [] } = await chrome.storage.local.get('blocklists');
+  return { success: true, blocklists };
+}
+
+// Every list with its domains, for the content script's matcher
+async function getBlocklistData() {
+  try {
+    const { blocklists = [] } = await chrome.storage.local.get('blocklists');
+    const keys = blocklists.map(({ id }) => BLOCKLIST_PREFIX + id);
+    const stored = keys.length > 0 ? await chrome.storage.local.get(keys) : {};
+    const lists = blocklists
+      .filter(({ id }) => stored[BLOCKLIST_PREFIX + id])
+      .map(({ id, name }) => ({ id, name, ...stored[BLOCKLIST_PREFIX + id] }));
+    return { success: true, lists };
+  } catch (error) {
+    console.error('Error loading blocklists:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Adds a list, or replaces the one with the same id when it is updated from a newer file
+async function saveBlocklist(list) {
+  try {
+    const { id, name, fileName, format, domains, exceptions = [], skipped = 0 } = list;
+    const { blocklists = [] } = await chrome.storage.local.get('blocklists');
+    const entry = {
+      id,
+      name,
+      fileName,
+      format,
+      domainCount: domains.length,
+      exceptionCount: exceptions.length,
+      skipped,
+      updatedAt: Date.now()
     };
-    
+    const index = blocklists.findIndex(existing => existing.id === id);
+    if (index === -1) {
+      blocklists.push(entry);
+    } else {
+      blocklists[index] = entry;
+    }
+
+    await chrome.storage.local.set({ [BLOCKLIST_PREFIX + id]: { domains, exceptions } });
+    await chrome.storage.local.set({ blocklists });
+    await notifySiteTabs({ type: 'BLOCKLISTS_UPDATED' });
+    return { success: true, blocklists };
   } catch (error) {
-    console.error('Error expanding URL:', error);
+    console.error('Error saving blocklist:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function removeBlocklist(id) {
+  try {
+    const { blocklists = [] } = await chrome.storage.local.get('blocklists');
+    const remaining = blocklists.filter(list => list.id !== id);
+    await chrome.storage.local.set({ blocklists: remaining });
+    await chrome.storage.local.remove(BLOCKLIST_PREFIX + id);
+    await notifySiteTabs({ type: 'BLOCKLISTS_UPDATED' });
+    return { success: true, blocklists: remaining };
+  } catch (error) {
+    console.error('Error removing blocklist:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// TEXT IN IMAGES
+// ============================================
+
+// "Find links" on a post image: the image is downloaded here, through the
+// egress gate like every other request, and read by the OCR engine in an
+// offscreen document (ocr.js) - service workers can't run it themselves.
+// The pixels never leave this machine; only the lines of text come back.
+const OCR_DOCUMENT_PATH = 'src/ocr.html';
+const OCR_IMAGE_MAX_BYTES = 8 * 1024 * 1024;
+
+let ocrDocumentOpening = null;
+
+async function readImageText(url) {
+  try {
+    const image = await fetchImageData(url);
+    await openOcrDocument();
+    const result = await chrome.runtime.sendMessage({ target: 'ocr', type: 'RECOGNIZE_IMAGE', image });
+    return result?.success
+      ? { success: true, lines: result.lines }
+      : { success: false, error: result?.error || 'Could not read the image' };
+  } catch (error) {
+    if (error.name === 'EgressBlockedError') {
+      return { success: false, blocked: true, error: error.message };
+    }
+    console.error('Error reading image text:', error);
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * An image as a data: URL (messages to the offscreen document are JSON)
+ */
+async function fetchImageData(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PREVIEW_FETCH_TIMEOUT_MS);
+
+  try {
+    // The image is the page asked for, so it counts as the linked site
+    const response = await fetchFollowingRedirects(url, {
+      credentials: 'omit',
+      signal: controller.signal,
+      headers: { Accept: 'image/*' }
+    }, { purpose: 'Image text', linkUrl: url, trace: createTrace() });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.startsWith('image/')) {
+      throw new Error(`Not an image (${response.status})`);
+    }
+    if (Number(response.headers.get('content-length')) > OCR_IMAGE_MAX_BYTES) {
+      throw new Error('Image too large');
+    }
+
+    const reader = response.body.getReader();
+    let binary = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (binary.length + value.byteLength > OCR_IMAGE_MAX_BYTES) {
+        reader.cancel().catch(() => {});
+        throw new Error('Image too large');
+      }
+      for (let i = 0; i < value.byteLength; i += 0x8000) {
+        binary += String.fromCharCode(...value.subarray(i, i + 0x8000));
+      }
+    }
+    return `data:${contentType.split(';')[0]};base64,${btoa(binary)}`;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function openOcrDocument() {
+  const documents = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (documents.length > 0) return;
+
+  // Two scans at once must not both create it
+  ocrDocumentOpening ||= chrome.offscreen.createDocument({
+    url: OCR_DOCUMENT_PATH,
+    reasons: ['WORKERS'],
+    justification: 'Reads links printed in post images on this device'
+  }).finally(() => {
+    ocrDocumentOpening = null;
+  });
+  await ocrDocumentOpening;
+}
@@ -0,0 +1,144 @@
+/**
+ * InstaClick v2.4.7 - Blocklists
+ * Local lists of phishing and malware domains, imported from files
+ *
+ * Three formats are understood, also mixed in one file:
+ * - hosts files:   0.0.0.0 bad.example   (127.0.0.1 and :: too)
+ * - domain lists:  bad.example
+ * - Adblock Plus:  ||bad.example^   and exceptions  @@||good.bad.example^
+ * Comments (#, !) are ignored. ABP rules that only block a path or hide page
+ * elements can't be applied to a whole link and are skipped.
+ * A domain also covers its subdomains.
+ */
+
+const InstaClickBlocklist = (() => {
+  const FORMAT_NAMES = {
+    hosts: 'hosts file',
+    domains: 'domain list',
+    abp: 'Adblock Plus'
+  };
+
+  // Names hosts files map to themselves
+  const HOSTS_SELF_ENTRIES = new Set([
+    'localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost',
+    'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix', 'ip6-allnodes', 'ip6-allrouters',
+    'ip6-allhosts', '0.0.0.0'
+  ]);
+
+  const HOSTS_LINE = /^(?:0\.0\.0\.0|127\.0\.0\.1|::1?|0:0:0:0:0:0:0:[01])\s+(.+)$/;
+  const ABP_DOMAIN_RULE = /^(@@)?\|\|([^/^$|*]+)\^?(?:\$.*)?$/;
+
+  /**
+   * Parse a list file. Returns { format, domains, exceptions, skipped } where
+   * format is the one most lines were written in.
+   */
+  function parseBlocklist(text) {
+    const domains = new Set();
+    const exceptions = new Set();
+    const counts = { hosts: 0, domains: 0, abp: 0 };
+    let skipped = 0;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('!') || line.startsWith('[')) continue;
+      if (line.startsWith('#') && !line.startsWith('##')) continue;
+
+      const hosts = line.replace(/\s#.*$/, '').match(HOSTS_LINE);
+      if (hosts) {
+        for (const name of hosts[1].split(/\s+/)) {
+          const domain = normalizeDomain(name);
+          if (domain && !HOSTS_SELF_ENTRIES.has(domain)) {
+            domains.add(domain);
+            counts.hosts++;
+          }
+        }
+        continue;
+      }
+
+      const abp = line.match(ABP_DOMAIN_RULE);
+      if (abp) {
+        const domain = normalizeDomain(abp[2]);
+        if (domain) {
+          (abp[1] ? exceptions : domains).add(domain);
+          counts.abp++;
+        } else {
+          skipped++;
+        }
+        continue;
+      }
+
+      const domain = !/[\s/|^$#@]/.test(line) && normalizeDomain(line.replace(/^\*?\./, ''));
+      if (domain) {
+        domains.add(domain);
+        counts.domains++;
+      } else {
+        skipped++;
+      }
+    }
+
+    const format = Object.keys(counts).reduce((best, key) => (counts[key] > counts[best] ? key : best), 'domains');
+    return { format, domains: [...domains], exceptions: [...exceptions], skipped };
+  }
+
+  /**
+   * Lowercase ASCII (punycode) hostname, or null when it isn't one. Needs at
+   * least one dot - a bare word in a list is more likely a typo than a TLD.
+   */
+  function normalizeDomain(value) {
+    try {
+      const hostname = new URL(`http://${value}/`).hostname.replace(/\.$/, '');
+      return hostname.includes('.') && hostname === hostname.toLowerCase() && !/[%*]/.test(hostname)
+        ? hostname
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Matcher over a set of lists ({ id, name, domains, exceptions }).
+   * match(hostname) returns the first list that flags the host, or null. An
+   * exception only lifts its own list's rules for the host and its subdomains.
+   */
+  function createMatcher(lists) {
+    const blocked = new Map(); // domain -> lists flagging it
+    const allowed = new Map(); // domain -> ids of lists excepting it
+
+    for (const list of lists) {
+      const entry = { id: list.id, name: list.name };
+      for (const domain of list.domains) {
+        if (!blocked.has(domain)) blocked.set(domain, []);
+        blocked.get(domain).push(entry);
+      }
+      for (const domain of list.exceptions || []) {
+        if (!allowed.has(domain)) allowed.set(domain, new Set());
+        allowed.get(domain).add(list.id);
+      }
+    }
+
+    function match(hostname) {
+      const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+      const excepted = new Set();
+
+      // Most specific first, so an exception on a subdomain wins over its parent's rule
+      for (let i = 0; i < labels.length - 1; i++) {
+        const suffix = labels.slice(i).join('.');
+        allowed.get(suffix)?.forEach(id => excepted.add(id));
+        const list = blocked.get(suffix)?.find(({ id }) => !excepted.has(id));
+        if (list) return { ...list, domain: suffix };
+      }
+      return null;
+    }
+
+    return { size: blocked.size, match };
+  }
+
+  return {
+    FORMAT_NAMES,
+    parseBlocklist,
+    createMatcher
+  };
+})();
+
+// Export for use in content script and popup
+window.InstaClickBlocklist = InstaClickBlocklist;
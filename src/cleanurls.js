@@ -0,0 +1,217 @@
+/**
+ * InstaClick v2.4.7 - Clean URLs
+ * Strips tracking parameters from links before they are opened, previewed,
+ * turned into QR codes or recorded in history
+ *
+ * A rule set has three parts:
+ * - global:  parameters removed from every link ("utm_*" matches a prefix)
+ * - domains: extra parameters per domain, subdomains included; "amazon.*"
+ *            stands for the domain under any TLD
+ * - paths:   regex replacements on the path, for tracking baked into it
+ *            (Amazon's "/ref=..." segments)
+ * The bundled rules apply until the user saves their own set in the popup,
+ * which then replaces them as a whole.
+ */
+
+const InstaClickCleanUrls = (() => {
+  // Rule set JSON format understood by this build
+  const RULES_FORMAT = 1;
+
+  const DEFAULT_RULES = {
+    format: RULES_FORMAT,
+    global: [
+      'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+      'ttclid', 'li_fat_id', 'igshid', 'igsh', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', '__hssc', '__hstc',
+      '__hsfp', 'hsctatracking', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id', 'vero_conv',
+      'wickedid', 'rb_clickid', 's_cid', '_ga', '_gl', 'ncid', 'sr_share'
+    ],
+    domains: {
+      'youtube.com': ['si', 'feature', 'pp'],
+      'youtu.be': ['si', 'feature'],
+      'spotify.com': ['si', 'nd', 'context'],
+      'spotify.link': ['si'],
+      'twitter.com': ['s', 't', 'ref_src', 'ref_url'],
+      'x.com': ['s', 't', 'ref_src', 'ref_url'],
+      'tiktok.com': ['_r', '_t', 'is_from_webapp', 'sender_device', 'is_copy_url', 'share_app_id', 'share_link_id'],
+      'instagram.com': ['img_index', 'ig_rid'],
+      'facebook.com': ['mibextid', 'rdid', 'sfnsn', '__cft__*', '__tn__'],
+      'threads.net': ['xmt', 'slof'],
+      'threads.com': ['xmt', 'slof'],
+      'linkedin.com': ['trk', 'trkInfo', 'trackingId', 'lipi', 'lici', 'midToken', 'midSig'],
+      'reddit.com': ['share_id', 'ref', 'ref_source'],
+      'amazon.*': ['ref', 'ref_', 'pf_rd_*', 'pd_rd_*', 'content-id', 'psc', 'qid', 'sr', 'crid', 'sprefix', 'linkCode', 'linkId'],
+      'ebay.*': ['_trkparms', '_trksid', 'mkevt', 'mkcid', 'mkrid', 'campid', 'toolid', 'customid'],
+      'aliexpress.com': ['spm', 'scm', 'pvid', 'algo_pvid', 'algo_exp_id', 'aff_*', 'sk', 'terminal_id'],
+      'medium.com': ['source']
+    },
+    paths: [
+      { domain: 'amazon.*', match: '/ref=[^/]*$', replace: '' }
+    ]
+  };
+
+  function validateRules(rules) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['Rules must be a JSON object'];
+    }
+    if (rules.format !== RULES_FORMAT) {
+      errors.push(`Unsupported format ${JSON.stringify(rules.format)} (expected ${RULES_FORMAT})`);
+    }
+    for (const key of Object.keys(rules)) {
+      if (!['format', 'global', 'domains', 'paths'].includes(key)) {
+        errors.push(`Unknown key "${key}" (expected "global", "domains" or "paths")`);
+      }
+    }
+
+    if (rules.global !== undefined && !isParamList(rules.global)) {
+      errors.push('"global" must be a list of parameter names');
+    }
+
+    if (rules.domains !== undefined) {
+      if (!rules.domains || typeof rules.domains !== 'object' || Array.isArray(rules.domains)) {
+        errors.push('"domains" must be an object of domain: parameter list');
+      } else {
+        for (const [domain, params] of Object.entries(rules.domains)) {
+          if (!isDomainPattern(domain)) errors.push(`domains: invalid domain ${JSON.stringify(domain)}`);
+          if (!isParamList(params)) errors.push(`${domain}: must be a list of parameter names`);
+        }
+      }
+    }
+
+    if (rules.paths !== undefined) {
+      if (!Array.isArray(rules.paths)) {
+        errors.push('"paths" must be a list of { domain, match, replace } rules');
+      } else {
+        rules.paths.forEach((rule, i) => {
+          if (!isDomainPattern(rule?.domain)) errors.push(`paths[${i}]: invalid domain ${JSON.stringify(rule?.domain)}`);
+          if (rule?.replace !== undefined && typeof rule.replace !== 'string') {
+            errors.push(`paths[${i}]: "replace" must be a string`);
+          }
+          if (typeof rule?.match !== 'string' || !isValidPattern(rule.match)) {
+            errors.push(`paths[${i}]: invalid match pattern ${JSON.stringify(rule?.match)}`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  function isParamList(value) {
+    return Array.isArray(value) && value.every(name => typeof name === 'string' && name.length > 0);
+  }
+
+  function isValidPattern(pattern) {
+    try {
+      new RegExp(pattern);
+      return pattern.length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  function isDomainPattern(value) {
+    return typeof value === 'string' && /^([a-z0-9-]+\.)*[a-z0-9-]+(\.\*|\.[a-z0-9-]+)$/i.test(value);
+  }
+
+  /**
+   * Matcher for a parameter list: exact names, or prefixes ending in "*"
+   * (compared case-insensitively)
+   */
+  function compileParams(names) {
+    const exact = new Set();
+    const prefixes = [];
+    for (const name of names) {
+      const lower = name.toLowerCase();
+      if (lower.endsWith('*')) prefixes.push(lower.slice(0, -1));
+      else exact.add(lower);
+    }
+    return name => exact.has(name) || prefixes.some(prefix => name.startsWith(prefix));
+  }
+
+  // "example.com" covers its subdomains, "amazon.*" any TLD (one or two labels: amazon.co.uk)
+  function compileDomain(domain) {
+    const lower = domain.toLowerCase();
+    if (lower.endsWith('.*')) {
+      const base = lower.slice(0, -2).replace(/[.-]/g, '\\$&');
+      const pattern = new RegExp(`(^|\\.)${base}\\.[^.]+(\\.[^.]+)?$`);
+      return hostname => pattern.test(hostname);
+    }
+    return hostname => hostname === lower || hostname.endsWith(`.${lower}`);
+  }
+
+  /**
+   * Cleaner for a rule set (validated). clean(url) returns { url, removed }
+   * where removed lists the parameter names taken out ("path" for a path
+   * rule); url is returned unchanged when nothing matched. The remaining
+   * query is kept byte for byte.
+   */
+  function createCleaner(rules) {
+    const global = compileParams(rules.global || []);
+    const domains = Object.entries(rules.domains || {}).map(([domain, params]) => ({
+      matches: compileDomain(domain),
+      params: compileParams(params)
+    }));
+    const paths = (rules.paths || []).map(({ domain, match, replace = '' }) => ({
+      matches: compileDomain(domain),
+      pattern: new RegExp(match),
+      replace
+    }));
+
+    function clean(urlString) {
+      let url;
+      try {
+        url = new URL(urlString);
+      } catch {
+        return { url: urlString, removed: [] };
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return { url: urlString, removed: [] };
+
+      const hostname = url.hostname.toLowerCase();
+      const matchers = [global, ...domains.filter(rule => rule.matches(hostname)).map(rule => rule.params)];
+      const removed = [];
+
+      const kept = url.search.slice(1).split('&').filter(pair => {
+        if (!pair) return false;
+        const name = decodeParamName(pair.split('=')[0]);
+        if (!matchers.some(matches => matches(name.toLowerCase()))) return true;
+        if (!removed.includes(name)) removed.push(name);
+        return false;
+      });
+
+      for (const rule of paths) {
+        if (!rule.matches(hostname)) continue;
+        const pathname = url.pathname.replace(rule.pattern, rule.replace);
+        if (pathname !== url.pathname) {
+          url.pathname = pathname || '/';
+          if (!removed.includes('path')) removed.push('path');
+        }
+      }
+
+      if (removed.length === 0) return { url: urlString, removed };
+      url.search = kept.length > 0 ? `?${kept.join('&')}` : '';
+      return { url: url.href, removed };
+    }
+
+    return { clean };
+  }
+
+  function decodeParamName(name) {
+    try {
+      return decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch {
+      return name;
+    }
+  }
+
+  return {
+    RULES_FORMAT,
+    DEFAULT_RULES,
+    validateRules,
+    createCleaner
+  };
+})();
+
+// Export for use in content script and popup
+window.InstaClickCleanUrls = InstaClickCleanUrls;
@@ -1,11 +1,12 @@
 /**
  * InstaClick v2.0 - Content Script
- * Converts plain text URLs in Instagram to clickable links
+ * Converts plain text URLs on Instagram, Threads and Facebook to clickable links
  * 
  * Features:
  * - Secure URL sanitization (XSS prevention)
- * - Improved URL regex with fewer false positives
+ * - Boundary-aware URL tokenizer with fewer false positives
  * - Performance-optimized processing queue
+ * - Per-site adapters (sites.js)
  * - Dark mode detection
  * - Link preview on hover
  * - Keyboard navigation support
@@ -19,44 +20,144 @@
   // CONFIGURATION & CONSTANTS
   // ============================================
   
-  // URL regex - matches prefixed URLs and bare domains with known TLDs
-  const URL_REGEX = /(?:https?:\/\/(?:www\.)?|www\.)[a-zA-Z0-9][-a-zA-Z0-9@:%._+~#=]{0,255}\.[a-z]{2,63}\b(?:[-a-zA-Z0-9@:%_+.~#?&/=()]*)|(?<![a-zA-Z0-9@.])(?:[a-zA-Z0-9][-a-zA-Z0-9]*\.)+(?:com|org|net|edu|gov|co|io|ai|app|dev|me|info|biz|xyz|online|site|tech|store|blog|shop|club|live|news|social|link|page|web|cloud|space|world|pro|gg|tv|be)\b(?:[/?#][-a-zA-Z0-9@:%_+.~#?&/=()]*)?/gi;
+  // URL start - optional scheme plus a hostname at a Unicode word boundary (not inside a
+  // @mention or #hashtag). Hostnames may be Unicode (IDN) or punycode. tokenizeUrls takes it from here (TLD, path, boundaries).
+  const URL_HOST_REGEX = /(?<![\p{L}\p{N}\p{M}@#._/+-])(https?:\/\/)?((?:[\p{L}\p{N}](?:[-\p{L}\p{N}\p{M}]{0,61}[\p{L}\p{N}\p{M}])?\.)+(?:\p{L}[\p{L}\p{M}]{1,62}|xn--[a-z0-9-]{1,59}))(?![\p{L}\p{N}\p{M}])(:\d{1,5}(?!\d))?/giu;
+
+  // Characters that end a URL in running text: whitespace, markup-ish ASCII, CJK and
+  // full-width punctuation, curly quotes, ellipsis, bidi controls and emoji
+  const URL_STOP_REGEX = /[\s<>"`{}|\\^\u2018-\u201F\u2026\u00AB\u00BB\u3000-\u303F\uFF01-\uFF0F\uFF1A-\uFF20\uFF3B-\uFF40\uFF5B-\uFF65\u200E-\u200F\u202A-\u202E\u2066-\u2069\u200D\uFE0F\p{Extended_Pictographic}]/u;
+
+  // Scripts written without spaces next to Latin text ("访问example.com", "ดูที่example.com") -
+  // a hostname label never switches from these straight into ASCII
+  const URL_SCRIPT_PREFIX_REGEX = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}\p{Script=Arabic}\p{Script=Hebrew}]+(?=[a-z0-9])/iu;
+
+  // Punctuation that ends a sentence rather than a URL ("see example.com/shop.")
+  const URL_TRAILING_PUNCTUATION = new Set(['.', ',', ':', ';', '!', '?', "'", '*', '_', '-']);
+
+  // Closing brackets are part of a URL only when balanced inside it ("wiki/Foo_(bar)")
+  const URL_BRACKET_PAIRS = { ')': '(', ']': '[' };
   
+  // Email addresses (local@domain.tld)
+  const EMAIL_REGEX = /(?<![a-zA-Z0-9._%+-])[a-zA-Z0-9._%+-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*\.[a-zA-Z]{2,63}\b/g;
+
+  // Phone numbers - E.164 (+14155552671) and grouped local/international formats
+  // (+44 20 7946 0958, (555) 123-4567, 020 7946 0958). Digit counts are checked in sanitizeUrl.
+  const PHONE_REGEX = /(?<![\w+@/.])(?:\+\d{7,15}|(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,5}){1,4})(?![\w@])/g;
+
+  // Obfuscated links - "mysite dot com/shop", "mysite[.]com", "mysite(.)com", "mysite . com".
+  // Candidates only; deobfuscateUrl decides which ones are really links.
+  const OBFUSCATED_URL_REGEX = /(?<![\p{L}\p{N}@.])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)*(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\s*[[({]\s*(?:\.|dot)\s*[\])}]\s*|\s+dot\s+|\s+\.\s+))+[a-z]{2,24}(?![\p{L}\p{N}\p{M}])(?:\/[-\p{L}\p{N}@:%_+.~#?&/=]*)?/giu;
+
+  // Separators accepted by OBFUSCATED_URL_REGEX (plus plain dots between other labels)
+  const OBFUSCATED_SEPARATOR_REGEX = /\s*[[({]\s*(?:\.|dot)\s*[\])}]\s*|\s+dot\s+|\s+\.\s+|\./giu;
+
+  // Spoken/spaced forms ("dot", " . ") read like prose, so they are only
+  // recovered for TLDs creators actually advertise...
+  const SPOKEN_RECOVERY_TLDS = new Set([
+    'com', 'net', 'org', 'co', 'io', 'ly', 'shop', 'store', 'bio', 'link', 'app', 'info',
+    'biz', 'uk', 'ca', 'de', 'fr', 'es', 'au', 'tv', 'gg', 'xyz', 'online', 'site', 'live',
+    'page', 'blog', 'art', 'studio', 'design'
+  ]);
+
+  // ...and never when the name is a common word ("the dot com era", "a . com")
+  const SPOKEN_RECOVERY_STOPWORDS = new Set([
+    'a', 'an', 'and', 'at', 'be', 'but', 'for', 'her', 'his', 'in', 'is', 'it', 'its',
+    'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'this',
+    'to', 'was', 'with', 'yes', 'your'
+  ]);
+
+  // App deep-link schemes. Each has its own detection pattern, a default policy
+  // ('link', 'confirm' = ask before opening, 'never') the user can override in
+  // settings.schemePolicies, and a preview template for the preview card.
+  const APP_SCHEMES = {
+    'spotify:': {
+      label: 'Spotify',
+      type: 'spotify',
+      policy: 'link',
+      pattern: /(?<![\w:/])spotify:(?:track|album|artist|playlist|episode|show|user):[A-Za-z0-9]{1,64}(?![\w:])/g,
+      describe: url => {
+        const [kind] = url.pathname.split(':');
+        return { title: `Spotify ${kind.charAt(0).toUpperCase()}${kind.slice(1)}`, description: 'Open in the Spotify app' };
+      }
+    },
+    'tg:': {
+      label: 'Telegram',
+      type: 'telegram',
+      policy: 'confirm',
+      pattern: /(?<![\w:/])tg:\/\/(?:resolve|join|msg|share|addstickers)\?[\w=&%.+-]+/g,
+      describe: url => {
+        const domain = url.searchParams.get('domain');
+        return {
+          title: domain ? `@${domain} on Telegram` : 'Telegram link',
+          description: 'Open in the Telegram app'
+        };
+      }
+    },
+    'whatsapp:': {
+      label: 'WhatsApp',
+      type: 'whatsapp',
+      policy: 'confirm',
+      pattern: /(?<![\w:/])whatsapp:\/\/send\?[\w=&%.+-]+/g,
+      describe: url => {
+        const phone = url.searchParams.get('phone');
+        return {
+          title: phone ? `WhatsApp chat with +${phone.replace(/\D/g, '')}` : 'WhatsApp message',
+          description: 'Open in the WhatsApp app'
+        };
+      }
+    },
+    'sms:': {
+      label: 'Messages',
+      type: 'phone',
+      policy: 'confirm',
+      pattern: /(?<![\w:/])sms:\+?\d[\d-]{6,18}(?![\w-])/g,
+      describe: url => ({ title: `Text ${url.pathname}`, description: 'Send a text message' })
+    }
+  };
+
+  // Schemes that can run code or read local data - never linked, whatever the settings say
+  const BLOCKED_SCHEMES = new Set([
+    'javascript:', 'data:', 'vbscript:', 'file:', 'blob:', 'about:', 'chrome:', 'chrome-extension:'
+  ]);
+
+  // Inline elements a URL may continue through (Instagram wraps fragments in spans)
+  const INLINE_TAGS = new Set([
+    'SPAN', 'B', 'I', 'EM', 'STRONG', 'SMALL', 'MARK', 'U', 'S', 'SUB', 'SUP',
+    'WBR', 'BDI', 'BDO', 'ABBR', 'CODE'
+  ]);
+
+  // Invisible break opportunities (soft hyphen, zero-width space) ignored inside URLs
+  const SOFT_BREAK_REGEX = /[\u00AD\u200B]/;
+
+  // Instagram's "… more" caption button, in the languages we see most
+  const MORE_BUTTON_REGEX = /^(?:…\s*)?(?:more|mehr|plus|más|mais|altro|meer|więcej|daha fazla|ещё|еще|もっと見る|더 보기|更多|lainnya|selengkapnya)$/i;
+
   // Common file extensions to exclude (not URLs)
   const FILE_EXTENSIONS = /\.(js|css|png|jpg|jpeg|gif|svg|webp|ico|woff|woff2|ttf|eot|map)$/i;
   
-  // Valid TLDs (top 50 most common to reduce false positives)
-  const VALID_TLDS = new Set([
-    'com', 'org', 'net', 'edu', 'gov', 'co', 'io', 'ai', 'app', 'dev',
-    'me', 'info', 'biz', 'us', 'uk', 'ca', 'au', 'de', 'fr', 'it',
-    'es', 'nl', 'ru', 'jp', 'cn', 'in', 'br', 'mx', 'kr', 'tv',
-    'xyz', 'online', 'site', 'tech', 'store', 'blog', 'shop', 'club', 'live', 'news',
-    'social', 'link', 'page', 'web', 'cloud', 'space', 'world', 'pro', 'gg', 'be'
+  // Real TLDs that are more often file extensions ("readme.md", "setup.py") -
+  // bare domains using them need a path to count as links
+  const AMBIGUOUS_BARE_TLDS = new Set(['md', 'py', 'rs', 'sh', 'ts', 'zip', 'mov']);
+
+  // Country TLDs seen in bare links ("shop.de", "link.io"). Any other two-letter
+  // TLD reads like chat ("ok.so", "lol.im") and needs a scheme, www. or a path.
+  const COMMON_BARE_CCTLDS = new Set([
+    'ai', 'ar', 'at', 'au', 'be', 'br', 'ca', 'cc', 'ch', 'cl', 'cn', 'co', 'cz', 'de', 'dk', 'es',
+    'eu', 'fi', 'fm', 'fr', 'gg', 'gl', 'gr', 'hk', 'hu', 'id', 'ie', 'il', 'in', 'io', 'it', 'jp',
+    'kr', 'ly', 'me', 'mx', 'nl', 'no', 'nz', 'ph', 'pl', 'pt', 'ro', 'ru', 'se', 'sg', 'sk',
+    'th', 'to', 'tr', 'tv', 'tw', 'ua', 'uk', 'us', 'vn', 'ws', 'za'
   ]);
 
-  // Instagram-specific selectors for content areas
-  const CONTENT_SELECTORS = [
-    'article',
-    'section',
-    'div[role="main"]',
-    'div[role="dialog"]',
-    'div[role="presentation"]',
-    // Instagram's common class patterns
-    'span[dir="auto"]',
-    'h1', 'h2', 'h3',
-    // Bio sections
-    'header section',
-    // Comments
-    'ul[class*="x78zum5"]',
-    // Caption areas
-    'div[class*="x9f619"] span'
-  ];
-
-  // Modal/popup specific selectors
-  const MODAL_SELECTORS = [
-    'div[role="dialog"]',
-    'div[role="presentation"]',
-    'div[style*="transform: translateX"]'
+  // Link detectors - each kind has its own finder and (optionally) a settings toggle.
+  // Finders return [{ index, text }] in document order. `hint` is a cheap test
+  // for something every match of that kind contains, to skip text quickly.
+  const LINK_DETECTORS = [
+    { kind: 'url', find: text => findUrlTokens(text), hint: /\./, setting: null },
+    { kind: 'email', find: text => findRegexMatches(EMAIL_REGEX, text), hint: /@/, setting: 'linkifyEmails' },
+    { kind: 'phone', find: text => findRegexMatches(PHONE_REGEX, text), hint: /\d/, setting: 'linkifyPhones' },
+    { kind: 'recovered', find: text => findRegexMatches(OBFUSCATED_URL_REGEX, text), hint: /\.|dot/i, setting: 'recoverObfuscatedLinks' },
+    { kind: 'app', find: text => findAppLinks(text), hint: /:/, setting: null }
   ];
 
   // ============================================
@@ -69,9 +170,39 @@
     showPreview: true,
     highlightLinks: true,
     linkStyle: 'default',
-    trackHistory: false
+    trackHistory: false,
+    linkifyEmails: true,
+    linkifyPhones: true,
+    recoverObfuscatedLinks: false,
+    crossNodeLinks: true,
+    expandTruncatedLinks: true,
+    scanImagesForLinks: false,
+    dmPreload: false,
+    dmPreviewLookups: false,
+    schemePolicies: {},
+    siteInstagram: true,
+    siteThreads: true,
+    siteFacebook: true,
+    expandShortUrls: true,
+    cleanUrls: true,
+    qrSize: 512,
+    qrErrorCorrection: 'M',
+    lookalikeWarnings: true,
+    lookalikeMaxDistance: 1,
+    lookalikeMinLength: 6,
+    protectedBrands: [],
+    ignoredBrands: [],
+    logRejectedLinks: false,
+    preloadPreviews: false
   };
+
+  // The site this page belongs to (sites.js)
+  const site = window.InstaClickSites.getSiteForHost(location.hostname);
+  if (!site) return;
   
+  // Where to look for text - the site's bundled profile plus any imported overrides (selectors.js)
+  let selectorProfile = window.InstaClickSelectors.mergeProfile(null, site.profile);
+
   let linkCount = 0;
   let isInitialized = false;
 
@@ -80,16 +211,28 @@
   // ============================================
 
   /**
-   * Sanitize and validate URL to prevent XSS attacks
+   * Sanitize and validate a detected link to prevent XSS attacks.
+   * `kind` selects the scheme: 'url' (http/https), 'email' (mailto:), 'phone' (tel:),
+   * 'recovered' (obfuscated http/https link, rebuilt first) or 'app' (APP_SCHEMES)
    */
-  function sanitizeUrl(urlString) {
+  function sanitizeUrl(urlString, kind = 'url') {
+    if (kind === 'email') return sanitizeEmail(urlString);
+    if (kind === 'phone') return sanitizePhone(urlString);
+    if (kind === 'app') return sanitizeAppLink(urlString);
+    if (kind === 'recovered') {
+      const rebuilt = deobfuscateUrl(urlString);
+      return rebuilt ? sanitizeUrl(rebuilt) : null;
+    }
+
     try {
       // Add protocol if missing
       let url = urlString;
-      if (!url.match(/^https?:\/\//i)) {
+      const hasScheme = /^https?:\/\//i.test(url);
+      if (!hasScheme) {
         url = 'https://' + url;
       }
       
+      // The URL parser normalises IDNs to punycode (münchen.de => xn--mnchen-3ya.de)
       const parsed = new URL(url);
       
       // Only allow http/https protocols
@@ -97,13 +240,13 @@
         return null;
       }
       
-      // Validate TLD
-      const hostname = parsed.hostname.toLowerCase();
-      const tld = hostname.split('.').pop();
-      if (!VALID_TLDS.has(tld)) {
-        // Allow if it has a valid structure (country TLDs like .co.uk)
-        const parts = hostname.split('.');
-        if (parts.length < 2) return null;
+      const parts = parsed.hostname.toLowerCase().split('.');
+      if (parts.length < 2) return null;
+
+      // Explicit http(s):// links are trusted as written; everything else
+      // needs a TLD from the bundled IANA list
+      if (!hasScheme && !window.InstaClickDomains?.isKnownTld(parts[parts.length - 1])) {
+        return null;
       }
       
       return parsed.href;
@@ -113,38 +256,124 @@
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Validate an app deep link: the scheme must be registered, not blocked and
+   * not set to 'never'
+   */
+  function sanitizeAppLink(text) {
+    try {
+      const parsed = new URL(text);
+      if (BLOCKED_SCHEMES.has(parsed.protocol)) return null;
+      if (!APP_SCHEMES[parsed.protocol]) return null;
+      if (getSchemePolicy(parsed.protocol) === 'never') return null;
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Current policy for an app scheme - the user's override or the registry default
+   */
+  function getSchemePolicy(protocol) {
+    const scheme = APP_SCHEMES[protocol];
+    if (!scheme) return 'never';
+    const override = settings.schemePolicies?.[protocol.slice(0, -1)];
+    return ['link', 'confirm', 'never'].includes(override) ? override : scheme.policy;
+  }
+
+  /**
+   * Rebuild "mysite dot com/shop" style text into "mysite.com/shop".
+   * Returns null when the text is more likely prose than a hidden link.
+   */
+  function deobfuscateUrl(text) {
+    const slash = text.indexOf('/');
+    const hostPart = slash === -1 ? text : text.slice(0, slash);
+    const path = slash === -1 ? '' : text.slice(slash);
+
+    const labels = hostPart.split(OBFUSCATED_SEPARATOR_REGEX);
+    if (labels.length < 2 || labels.some(label => !label)) return null;
+
+    const tld = labels[labels.length - 1];
+    const name = labels[labels.length - 2].toLowerCase();
+    if (!window.InstaClickDomains?.isKnownTld(tld)) return null;
+
+    const isSpoken = /\s+dot\s+|\s+\.\s+/i.test(hostPart);
+    if (isSpoken) {
+      // "home . Then" is a sentence break, "dot COM" is shouting - both fine only if not mixed case
+      if (tld !== tld.toLowerCase() && tld !== tld.toUpperCase()) return null;
+      if (!SPOKEN_RECOVERY_TLDS.has(tld.toLowerCase())) return null;
+      if (name.length < 2 || /^\d+$/.test(name) || SPOKEN_RECOVERY_STOPWORDS.has(name)) return null;
+    }
+
+    return labels.join('.').toLowerCase() + path;
+  }
+
+  /**
+   * Build a mailto: URL from an email address, or null if it is not valid
+   */
+  function sanitizeEmail(address) {
+    const email = address.trim();
+    if (!/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,63}$/.test(email)) return null;
+
+    const [local, domain] = email.split('@');
+    if (local.length > 64 || email.length > 254) return null;
+    if (local.startsWith('.') || local.endsWith('.') || local.includes('..')) return null;
+    if (domain.includes('..')) return null;
+
+    try {
+      const parsed = new URL(`mailto:${email}`);
+      return parsed.protocol === 'mailto:' ? parsed.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build a tel: URL from a phone number, or null if it does not look like one.
+   * International numbers need 8-15 digits (E.164), local numbers 9-12.
    */
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  function sanitizePhone(number) {
+    const text = number.trim();
+    const isInternational = text.startsWith('+');
+    const digits = text.replace(/\D/g, '');
+
+    if (isInternational) {
+      if (digits.length < 8 || digits.length > 15) return null;
+    } else {
+      if (digits.length < 9 || digits.length > 12) return null;
+      // Dates like 2024-01-15 or 15.01.2024
+      if (/^\d{1,4}[-./]\d{1,2}[-./]\d{1,4}$/.test(text)) return null;
+      // Space-only groups ("1990 1991 1992") need a trunk prefix or area code
+      if (!/[-.()]/.test(text) && !text.startsWith('0')) return null;
+    }
+
+    return `tel:${isInternational ? '+' : ''}${digits}`;
   }
 
   /**
-   * Check if text looks like a truncated URL (ends with ...)
+   * All matches of a global regex as [{ index, text }]
    */
-  function isTruncatedUrl(text) {
-    return /\.{2,}$/.test(text.trim()) || /…$/.test(text.trim());
+  function findRegexMatches(regex, text) {
+    return Array.from(text.matchAll(regex), match => ({ index: match.index, text: match[0] }));
   }
 
   /**
-   * Check if text matches file extension pattern (not a URL)
+   * Whether InstaClick is on for this page - globally and for this site
    */
-  function isFileExtension(text) {
-    return FILE_EXTENSIONS.test(text);
+  function isActive(current = settings) {
+    return current.enabled && current[site.setting] !== false;
   }
 
   /**
-   * Detect if Instagram is in dark mode
+   * Detect if the site is in dark mode
    */
   function isDarkMode() {
     const html = document.documentElement;
     const body = document.body;
     
-    // Check Instagram's dark mode classes
-    if (html.classList.contains('__fb-dark-mode') || 
-        body.classList.contains('__fb-dark-mode')) {
+    // Check the site's dark mode classes
+    if (site.darkModeClasses.some(name =>
+      html.classList.contains(name) || body.classList.contains(name))) {
       return true;
     }
     
@@ -161,107 +390,454 @@
     return window.matchMedia('(prefers-color-scheme: dark)').matches;
   }
 
+  // ============================================
+  // URL TOKENIZER
+  // ============================================
+
   /**
-   * Debounce function for performance
+   * Find URLs in running text with proper boundaries: balanced brackets, trailing
+   * punctuation, CJK punctuation, quotes, emoji and bidi marks all end a URL.
+   * Returns { tokens: [{ index, text }], rejected: [{ index, text, reason }] }.
    */
-  function debounce(fn, delay) {
-    let timeout;
-    return function(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => fn.apply(this, args), delay);
-    };
+  function tokenizeUrls(text) {
+    const tokens = [];
+    const rejected = [];
+
+    URL_HOST_REGEX.lastIndex = 0;
+    let match;
+    while ((match = URL_HOST_REGEX.exec(text)) !== null) {
+      const [, scheme = '', matchedHost] = match;
+      let start = match.index;
+      let host = matchedHost;
+
+      // Word boundary between scripts: "访问example.com" starts at "example"
+      const prefix = !scheme && host.match(URL_SCRIPT_PREFIX_REGEX);
+      if (prefix) {
+        start += prefix[0].length;
+        host = host.slice(prefix[0].length);
+      }
+
+      const token = readUrlToken(text, start, scheme, host, match[3] || '');
+
+      if (token.reason) {
+        rejected.push({ index: start, text: token.text, reason: token.reason });
+      } else {
+        tokens.push({ index: start, text: token.text });
+      }
+
+      // Continue after whatever was consumed (a rejected path is still not a new URL)
+      URL_HOST_REGEX.lastIndex = Math.max(start + token.consumed, URL_HOST_REGEX.lastIndex);
+    }
+
+    return { tokens, rejected };
+  }
+
+  /**
+   * URL detector - tokens only. With "Log skipped links" on, rejected
+   * candidates go to the DevTools console ("Verbose" level) for bug reports.
+   */
+  function findUrlTokens(text) {
+    const { tokens, rejected } = tokenizeUrls(text);
+    if (settings.logRejectedLinks) {
+      for (const { text: candidate, reason } of rejected) {
+        console.debug(`InstaClick: not linking "${candidate}" (${reason})`);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * App detector - every scheme not set to 'never', trailing punctuation trimmed
+   */
+  function findAppLinks(text) {
+    const links = [];
+    for (const [protocol, { pattern }] of Object.entries(APP_SCHEMES)) {
+      if (getSchemePolicy(protocol) === 'never') continue;
+      for (const { index, text: matched } of findRegexMatches(pattern, text)) {
+        links.push({ index, text: trimUrlTail(matched, protocol.length) });
+      }
+    }
+    return links.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Read one URL starting at `start`, given the scheme/host/port the start regex found.
+   * Returns { text, consumed, reason } where reason is set when the candidate is rejected.
+   */
+  function readUrlToken(text, start, scheme, host, port) {
+    // "example.com.Next" - drop trailing labels that cannot be a TLD
+    const labels = host.split('.');
+    let reason = null;
+    while (labels.length >= 2) {
+      reason = getTldRejection(labels[labels.length - 1], scheme);
+      if (!reason) break;
+      labels.pop();
+    }
+    if (reason || labels.length < 2) {
+      return { text: scheme + host, consumed: scheme.length + host.length, reason: reason || 'invalid-host' };
+    }
+
+    const hostText = labels.join('.');
+    const hostEnd = start + scheme.length + hostText.length + (hostText === host ? port.length : 0);
+
+    // Path, query and fragment run until a stop character
+    let end = hostEnd;
+    if (hostText === host && /[/?#]/.test(text[end] || '')) {
+      while (end < text.length) {
+        const char = String.fromCodePoint(text.codePointAt(end));
+        if (URL_STOP_REGEX.test(char)) break;
+        end += char.length;
+      }
+    }
+
+    const raw = text.slice(start, end);
+    const next = text[end] || '';
+
+    if (next === '@') return { text: raw, consumed: raw.length, reason: 'email' };
+    if (next === '\u2026' || /\.{2,}$/.test(raw)) return { text: raw, consumed: raw.length, reason: 'truncated' };
+
+    const url = trimUrlTail(raw, hostEnd - start);
+    const isBare = !scheme && !/^www\./i.test(url);
+    const hasPath = url.length > hostEnd - start;
+    const tld = labels[labels.length - 1].toLowerCase();
+
+    if (isBare && !hasPath && FILE_EXTENSIONS.test(url)) {
+      return { text: url, consumed: raw.length, reason: 'file-extension' };
+    }
+    if (isBare && !hasPath && AMBIGUOUS_BARE_TLDS.has(tld)) {
+      return { text: url, consumed: raw.length, reason: 'ambiguous-tld' };
+    }
+    if (isBare && !hasPath && /^[a-z]{2}$/.test(tld) && !COMMON_BARE_CCTLDS.has(tld)) {
+      return { text: url, consumed: raw.length, reason: 'uncommon-cctld' };
+    }
+
+    return { text: url, consumed: raw.length, reason: null };
+  }
+
+  /**
+   * Why a hostname's last label is not usable as a TLD, or null if it is
+   */
+  function getTldRejection(tld, scheme) {
+    // "end.Next" is a missing space after a full stop, not a domain
+    if (!scheme && /^\p{Lu}\p{Ll}/u.test(tld)) return 'sentence-break';
+    if (!scheme && !window.InstaClickDomains?.isKnownTld(tld)) return 'unknown-tld';
+    return null;
+  }
+
+  /**
+   * Strip sentence punctuation and unbalanced closing brackets from the end of a URL,
+   * never cutting into the host
+   */
+  function trimUrlTail(url, minLength) {
+    let end = url.length;
+
+    while (end > minLength) {
+      const char = url[end - 1];
+
+      if (URL_TRAILING_PUNCTUATION.has(char)) {
+        end--;
+        continue;
+      }
+
+      const open = URL_BRACKET_PAIRS[char];
+      if (open) {
+        const body = url.slice(0, end);
+        if (body.split(char).length > body.split(open).length) {
+          end--;
+          continue;
+        }
+      }
+
+      break;
+    }
+
+    return url.slice(0, end);
   }
 
   // ============================================
   // LINK PROCESSING
   // ============================================
 
+  // Time a processing slice may take - half a 60fps frame
+  const FRAME_BUDGET_MS = 8;
+
+  // Containers bigger than this are split into their children instead of being
+  // processed in one go, so a single task stays inside the frame budget
+  const MAX_ELEMENTS_PER_TASK = 300;
+
   /**
-   * Processing queue for better performance
+   * Processing queue. Work runs in idle time, in slices of at most
+   * FRAME_BUDGET_MS, and every slice is counted in `stats` for this session.
    */
   class LinkProcessor {
     constructor() {
       this.queue = new Set();
-      this.isProcessing = false;
-      this.processDebounced = debounce(this.processQueue.bind(this), 100);
+      this.isScheduled = false;
+      this.stats = {
+        startedAt: Date.now(),
+        slices: 0,
+        slicesOverBudget: 0,
+        longestSliceMs: 0,
+        msSpent: 0,
+        elementsProcessed: 0,
+        nodesScanned: 0,
+        linksCreated: 0
+      };
     }
 
     add(element) {
       if (!element || element.hasAttribute('data-instaclick-processed')) return;
       this.queue.add(element);
-      this.processDebounced();
+      this.schedule();
+    }
+
+    /**
+     * Queue an element again after its text changed
+     */
+    refresh(element) {
+      if (!element || element.nodeType !== Node.ELEMENT_NODE) return;
+      element.removeAttribute('data-instaclick-processed');
+      this.add(element);
     }
 
-    processQueue() {
-      if (this.isProcessing || this.queue.size === 0) return;
-      this.isProcessing = true;
+    schedule() {
+      if (this.isScheduled) return;
+      this.isScheduled = true;
+
+      if (window.requestIdleCallback) {
+        window.requestIdleCallback(deadline => this.processQueue(deadline), { timeout: 500 });
+      } else {
+        setTimeout(() => this.processQueue(null), 50);
+      }
+    }
 
-      requestAnimationFrame(() => {
-        const elements = Array.from(this.queue);
-        this.queue.clear();
-        
-        let newLinks = 0;
-        for (const element of elements) {
+    processQueue(deadline) {
+      this.isScheduled = false;
+      if (this.queue.size === 0) return;
+
+      const start = performance.now();
+      const idleTime = deadline && !deadline.didTimeout ? deadline.timeRemaining() : FRAME_BUDGET_MS;
+      const sliceEnd = start + Math.min(idleTime, FRAME_BUDGET_MS);
+
+      let newLinks = 0;
+      // At least one element per slice, so a busy page still makes progress
+      do {
+        const [element] = this.queue;
+        this.queue.delete(element);
+        if (!element.isConnected || element.hasAttribute('data-instaclick-processed')) continue;
+
+        if (element.getElementsByTagName('*').length > MAX_ELEMENTS_PER_TASK) {
+          newLinks += this.splitContainer(element);
+        } else {
           newLinks += processElement(element);
         }
-        
-        if (newLinks > 0) {
-          linkCount += newLinks;
-          updateBadge();
-        }
-        
-        this.isProcessing = false;
-        
-        // Process any elements added during processing
-        if (this.queue.size > 0) {
-          this.processDebounced();
+        this.stats.elementsProcessed++;
+      } while (this.queue.size > 0 && performance.now() < sliceEnd);
+
+      // Our own DOM edits are already handled - drop them before the observer sees them
+      mutationObserver?.takeRecords();
+
+      const elapsed = performance.now() - start;
+      this.stats.slices++;
+      this.stats.msSpent += elapsed;
+      this.stats.longestSliceMs = Math.max(this.stats.longestSliceMs, elapsed);
+      if (elapsed > FRAME_BUDGET_MS) this.stats.slicesOverBudget++;
+
+      if (newLinks > 0) {
+        this.stats.linksCreated += newLinks;
+        linkCount += newLinks;
+        updateBadge();
+      }
+
+      if (this.queue.size > 0) this.schedule();
+    }
+
+    /**
+     * Process a large container's own text now and queue its children
+     */
+    splitContainer(element) {
+      element.setAttribute('data-instaclick-processed', 'true');
+
+      let newLinks = 0;
+      for (const child of Array.from(element.childNodes)) {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          this.queue.add(child);
+        } else if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
+          this.stats.nodesScanned++;
+          newLinks += processTextNode(child);
         }
-      });
+      }
+      return newLinks;
     }
   }
 
   const processor = new LinkProcessor();
 
   /**
-   * Convert URLs in text to clickable links
+   * Text shown for a link - punycode hostnames are displayed in Unicode form
+   * where that can't pass for another domain (domains.js toDisplayHostname)
+   */
+  function getDisplayText(kind, text) {
+    if (kind !== 'url' || !/xn--/i.test(text) || !window.InstaClickDomains) return text;
+
+    return text.replace(/^((?:https?:\/\/)?)([^/?#:]+)/i, (_, scheme, host) =>
+      scheme + window.InstaClickDomains.toDisplayHostname(host)
+    );
+  }
+
+  /**
+   * Get the detectors enabled by the current settings
+   */
+  function getActiveDetectors() {
+    return LINK_DETECTORS.filter(d => !d.setting || settings[d.setting] !== false);
+  }
+
+  /**
+   * Quick check whether text may contain anything an active detector can link
+   */
+  function hasLinkCandidate(text) {
+    return getActiveDetectors().some(({ hint }) => hint.test(text));
+  }
+
+  /**
+   * Run every active detector over the text and return non-overlapping
+   * matches in document order. On overlap the earlier (then longer) match wins,
+   * so "john.me@site.com" is an email rather than the bare domain "john.me".
+   */
+  function findLinkCandidates(text) {
+    const candidates = [];
+
+    for (const { kind, find } of getActiveDetectors()) {
+      for (const { index, text: matched } of find(text)) {
+        const href = sanitizeUrl(matched, kind);
+        if (!href) continue;
+
+        candidates.push({ kind, index, text: matched, href });
+      }
+    }
+
+    candidates.sort((a, b) => a.index - b.index || b.text.length - a.text.length);
+
+    const accepted = [];
+    let end = 0;
+    for (const candidate of candidates) {
+      if (candidate.index < end) continue;
+      accepted.push(candidate);
+      end = candidate.index + candidate.text.length;
+    }
+    return accepted;
+  }
+
+  /**
+   * Class list for a link of the given kind
+   */
+  function getLinkClassName(kind) {
+    return `instaclick-link instaclick-style-${settings.linkStyle} instaclick-kind-${kind}`;
+  }
+
+  /**
+   * Tooltip for links whose destination isn't obvious from their text
+   */
+  function getLinkTitle(kind, href) {
+    const flagged = isWebKind(kind) && getBlocklistMatch(href);
+    if (flagged) return `Flagged by ${flagged.name}: ${href}`;
+    const lookalike = isWebKind(kind) && getLookalikeWarning(href);
+    if (lookalike) return `Lookalike domain - ${window.InstaClickLookalike.describe(lookalike)}`;
+    if (kind === 'recovered') return `Recovered link: ${href}`;
+    if (kind === 'app') {
+      const scheme = APP_SCHEMES[new URL(href).protocol];
+      return scheme ? `Open in ${scheme.label}` : '';
+    }
+    return '';
+  }
+
+  /**
+   * Whether a link kind opens a web page (and so may open in a new tab)
+   */
+  function isWebKind(kind) {
+    return kind === 'url' || kind === 'recovered';
+  }
+
+  /**
+   * Whether a link was received in a private conversation (Instagram Direct,
+   * Messenger on Facebook)
+   */
+  function isDirectMessageLink(link) {
+    const dmSelectors = selectorProfile.groups.dms?.selectors;
+    return window.InstaClickSites.isPrivatePath(site, location.pathname) ||
+      !!(dmSelectors && link.closest(dmSelectors.join(',')));
+  }
+
+  /**
+   * Whether a link may be preloaded before it is hovered - only when preloading
+   * is on; links in direct messages follow the separate DM privacy policy,
+   * blocklisted ones are never fetched
+   */
+  function canPreloadLink(link) {
+    if (!settings.showPreview || !settings.preloadPreviews || link.classList.contains('instaclick-dangerous-link')) return false;
+    return !isDirectMessageLink(link) || (settings.dmPreload && settings.dmPreviewLookups);
+  }
+
+  /**
+   * Build an empty link element for a detected candidate (favicon only, no text)
+   */
+  function createLinkElement({ kind, href: detectedHref }) {
+    const link = document.createElement('a');
+    // The detected URL stays on the link for the preview's "show original"
+    const href = getCleanUrl(kind, detectedHref);
+    if (href !== detectedHref) link.setAttribute('data-instaclick-original-url', detectedHref);
+    link.href = href;
+    if (settings.openInNewTab && isWebKind(kind)) link.target = '_blank';
+    const title = getLinkTitle(kind, href);
+    if (title) link.title = title;
+    link.rel = 'noopener noreferrer';
+    // URLs read left-to-right even inside RTL captions (span[dir="auto"])
+    link.dir = 'ltr';
+    link.className = getLinkClassName(kind);
+    if (isWebKind(kind) && getBlocklistMatch(href)) link.classList.add('instaclick-dangerous-link');
+    if (isWebKind(kind) && getLookalikeWarning(href)) link.classList.add('instaclick-lookalike-link');
+    link.setAttribute('data-instaclick-url', href);
+    link.setAttribute('data-instaclick-kind', kind);
+
+    const favicon = document.createElement('img');
+    favicon.className = 'instaclick-favicon';
+    favicon.src = chrome.runtime.getURL('icons/icon16.png');
+    favicon.alt = '';
+    favicon.setAttribute('aria-hidden', 'true');
+    favicon.addEventListener('error', () => { favicon.style.display = 'none'; });
+    link.appendChild(favicon);
+
+    return link;
+  }
+
+  /**
+   * Convert URLs, email addresses and phone numbers in text to clickable links.
+   * Returns a fragment of text nodes and link elements - the text is never
+   * parsed as HTML, so a caption can't inject markup.
    */
   function linkifyText(text) {
-    // Reset regex state
-    URL_REGEX.lastIndex = 0;
-    
-    let result = '';
+    const fragment = document.createDocumentFragment();
     let lastIndex = 0;
-    let match;
 
-    while ((match = URL_REGEX.exec(text)) !== null) {
-      const matchedUrl = match[0];
-      
-      // Skip if it looks like a file extension or truncated URL
-      if (isFileExtension(matchedUrl) || isTruncatedUrl(matchedUrl)) {
-        continue;
-      }
-      
-      // Sanitize the URL
-      const sanitizedUrl = sanitizeUrl(matchedUrl);
-      if (!sanitizedUrl) continue;
-      
+    for (const candidate of findLinkCandidates(text)) {
       // Add text before the match
-      result += escapeHtml(text.slice(lastIndex, match.index));
-      
-      // Create the link
-      const target = settings.openInNewTab ? ' target="_blank"' : '';
-      const styleClass = `instaclick-link instaclick-style-${settings.linkStyle}`;
-      
-      const faviconHtml = `<img class="instaclick-favicon" src="${chrome.runtime.getURL('icons/icon16.png')}" alt="" aria-hidden="true">`;
-      result += `<a href="${sanitizedUrl}"${target} rel="noopener noreferrer" class="${styleClass}" data-instaclick-url="${sanitizedUrl}">${faviconHtml}${escapeHtml(matchedUrl)}</a>`;
-      
-      lastIndex = match.index + matchedUrl.length;
+      if (candidate.index > lastIndex) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, candidate.index)));
+      }
+
+      const link = createLinkElement(candidate);
+      link.appendChild(document.createTextNode(getDisplayText(candidate.kind, candidate.text)));
+      fragment.appendChild(link);
+
+      lastIndex = candidate.index + candidate.text.length;
     }
-    
+
     // Add remaining text
-    result += escapeHtml(text.slice(lastIndex));
-    
-    return result;
+    if (lastIndex < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+
+    return fragment;
   }
 
   /**
@@ -271,42 +847,38 @@
     if (!node || !node.parentNode) return 0;
     
     const text = node.textContent;
-    if (!text || !URL_REGEX.test(text)) return 0;
-    
-    // Reset regex after test
-    URL_REGEX.lastIndex = 0;
+    if (!text || !hasLinkCandidate(text)) return 0;
     
-    const linkedHtml = linkifyText(text);
+    const fragment = linkifyText(text);
     
-    // Check if any links were actually created
-    if (!linkedHtml.includes('instaclick-link')) return 0;
+    // Check if any links were actually created (get them before they move)
+    const newLinks = fragment.querySelectorAll('.instaclick-link');
+    if (newLinks.length === 0) return 0;
     
-    // Create a temporary container
-    const temp = document.createElement('span');
-    temp.innerHTML = linkedHtml;
-    
-    // Get the links before moving them
-    const newLinks = temp.querySelectorAll('.instaclick-link');
-
-    // Hide favicon if it fails to load
-    temp.querySelectorAll('.instaclick-favicon').forEach(img => {
-      img.addEventListener('error', () => { img.style.display = 'none'; });
-    });
-
     // Replace the text node with the new content
-    const fragment = document.createDocumentFragment();
-    while (temp.firstChild) {
-      fragment.appendChild(temp.firstChild);
-    }
-    
+    const inserted = Array.from(fragment.childNodes);
     node.parentNode.replaceChild(fragment, node);
+    watchReplacedText(node, inserted);
+
+    const origin = { type: 'text', original: node, inserted };
+    newLinks.forEach(link => linkOrigins.set(link, origin));
+    
+    registerNewLinks(newLinks);
     
+    // Count links created
+    return newLinks.length;
+  }
+
+  /**
+   * Preload previews for freshly created links and watch them for visibility
+   */
+  function registerNewLinks(newLinks) {
     // Immediately preload all new links (don't wait for visibility)
     const manager = getPreviewManager();
     if (manager && settings.showPreview) {
       newLinks.forEach(link => {
         const url = link.getAttribute('data-instaclick-url');
-        if (url) {
+        if (url && canPreloadLink(link)) {
           manager.preloadLink(url);
         }
       });
@@ -318,8 +890,134 @@
         window.instaclickPreloadObserver.observe(link);
       });
     }
-    
-    // Count links created
+  }
+
+  // ============================================
+  // CROSS-NODE LINKS
+  // ============================================
+
+  /**
+   * How two consecutive text nodes are separated: 0 (only inline markup),
+   * 1 (a single <br>) or null (block boundary, whitespace, another link...)
+   */
+  function getInlineSeparation(root, prev, next) {
+    // Every element we leave on the way from prev to next must be inline
+    for (let el = prev.parentElement; el && !el.contains(next); el = el.parentElement) {
+      if (!INLINE_TAGS.has(el.tagName)) return null;
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    walker.currentNode = prev;
+
+    let breaks = 0;
+    for (let node = walker.nextNode(); node && node !== next; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.textContent.length) return null;
+      } else if (node.tagName === 'BR') {
+        breaks++;
+      } else if (!INLINE_TAGS.has(node.tagName)) {
+        return null;
+      }
+    }
+
+    return breaks <= 1 ? breaks : null;
+  }
+
+  /**
+   * A <br> only continues a URL when it falls mid-URL: right after "/?&=#%-_."
+   * or right before "/?&=#%", with no whitespace around it
+   */
+  function isJoinableBreak(textBefore, textAfter) {
+    return (/[^\s][/?&=#%_.-]$/.test(textBefore) && !/^\s/.test(textAfter)) ||
+      (/\S$/.test(textBefore) && /^[/?&=#%]/.test(textAfter));
+  }
+
+  /**
+   * Group text nodes into logical runs of text that flow through inline markup.
+   * Each run keeps the (node, offset) of every logical character, with soft
+   * hyphens and zero-width spaces left out of the text.
+   */
+  function collectInlineRuns(root, textNodes) {
+    const runs = [];
+    let run = null;
+
+    for (const node of textNodes) {
+      const text = node.textContent;
+      const separation = run ? getInlineSeparation(root, run.nodes[run.nodes.length - 1], node) : null;
+      const joins = separation === 0 || (separation === 1 && isJoinableBreak(run.text, text));
+
+      if (!joins) {
+        run = { nodes: [], text: '', positions: [] };
+        runs.push(run);
+      }
+
+      run.nodes.push(node);
+      for (let offset = 0; offset < text.length; offset++) {
+        if (SOFT_BREAK_REGEX.test(text[offset])) continue;
+        run.text += text[offset];
+        run.positions.push({ node, offset });
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Link candidates in a run that the per-node pass cannot see: those spanning
+   * several text nodes or containing soft breaks. The whole range is moved into
+   * one link, so Instagram's inner spans and <br> are kept.
+   */
+  function linkifyInlineRun(run) {
+    if (run.nodes.length < 2 && run.positions.length === run.nodes[0].textContent.length) return [];
+
+    const spanning = findLinkCandidates(run.text).filter(({ index, text }) => {
+      const first = run.positions[index];
+      const last = run.positions[index + text.length - 1];
+      return first.node !== last.node || last.offset - first.offset + 1 !== text.length;
+    });
+
+    const newLinks = [];
+
+    // Last to first, so splitting text nodes never moves earlier positions
+    for (const candidate of spanning.reverse()) {
+      const first = run.positions[candidate.index];
+      const last = run.positions[candidate.index + candidate.text.length - 1];
+
+      const range = document.createRange();
+      range.setStart(first.node, first.offset);
+      range.setEnd(last.node, last.offset + 1);
+
+      // extractContents splits the boundary nodes - remember them to merge back on undo
+      const ancestor = range.commonAncestorContainer;
+      const origin = first.node === last.node
+        ? { type: 'split', node: first.node, offset: first.offset }
+        : {
+          type: 'run',
+          startChain: getBoundaryChain(first.node, ancestor),
+          endChain: getBoundaryChain(last.node, ancestor)
+        };
+
+      const link = createLinkElement(candidate);
+      link.classList.add('instaclick-multinode');
+      link.appendChild(range.extractContents());
+      linkOrigins.set(link, origin);
+      range.insertNode(link);
+      newLinks.push(link);
+    }
+
+    return newLinks;
+  }
+
+  /**
+   * Link URLs that Instagram split across spans, <br> or soft hyphens
+   */
+  function processInlineRuns(root, textNodes) {
+    const newLinks = [];
+    for (const run of collectInlineRuns(root, textNodes)) {
+      newLinks.push(...linkifyInlineRun(run));
+    }
+
+    registerNewLinks(newLinks);
     return newLinks.length;
   }
 
@@ -327,7 +1025,7 @@
    * Process an element and its text nodes
    */
   function processElement(element) {
-    if (!element || !settings.enabled) return 0;
+    if (!element || !isActive()) return 0;
     
     // Skip if already processed or is a link
     if (element.hasAttribute('data-instaclick-processed')) return 0;
@@ -337,7 +1035,28 @@
     // Mark as processed
     element.setAttribute('data-instaclick-processed', 'true');
     
-    // Get all text nodes
+    let linksCreated = 0;
+
+    // Links spanning several nodes first, then whatever is left node by node
+    if (settings.crossNodeLinks) {
+      linksCreated += processInlineRuns(element, collectTextNodes(element));
+    }
+
+    const textNodes = collectTextNodes(element);
+    processor.stats.nodesScanned += textNodes.length;
+    for (const node of textNodes) {
+      linksCreated += processTextNode(node);
+    }
+
+    markTruncatedUrls(element);
+    
+    return linksCreated;
+  }
+
+  /**
+   * Get the linkable text nodes under an element (not inside links or scripts)
+   */
+  function collectTextNodes(element) {
     const walker = document.createTreeWalker(
       element,
       NodeFilter.SHOW_TEXT,
@@ -359,28 +1078,244 @@
     while (current = walker.nextNode()) {
       textNodes.push(current);
     }
+    return textNodes;
+  }
 
-    // Process text nodes
-    let linksCreated = 0;
-    for (const node of textNodes) {
-      linksCreated += processTextNode(node);
-    }
+  /**
+   * Process a container and all its text-containing elements
+   */
+  function processContainer(container) {
+    if (!container || !isActive()) return;
     
-    return linksCreated;
+    // processElement covers the whole subtree; big containers are split by the processor
+    processor.add(container);
+  }
+
+  // ============================================
+  // TRUNCATED CAPTIONS ("… more")
+  // ============================================
+
+  // Caption text at the time its cut-off URLs were marked - re-linking only
+  // happens once Instagram changes the text, never for our own DOM edits
+  const truncatedCaptionText = new WeakMap();
+
+  let truncatedHoverTimeout = null;
+
+  /**
+   * Wrap URLs cut off by Instagram's caption collapse ("example.com/very-lo…")
+   * so they can be expanded on hover, and remember the caption for re-linking
+   */
+  function markTruncatedUrls(element) {
+    let found = false;
+
+    for (const node of collectTextNodes(element)) {
+      if (node.parentElement.closest('.instaclick-truncated')) {
+        found = true;
+        continue;
+      }
+
+      const truncated = tokenizeUrls(node.textContent).rejected.filter(r => r.reason === 'truncated');
+
+      // Last to first, so earlier offsets stay valid
+      for (const { index, text } of truncated.reverse()) {
+        const range = document.createRange();
+        range.setStart(node, index);
+        range.setEnd(node, index + text.length);
+
+        const marker = document.createElement('span');
+        marker.className = 'instaclick-truncated';
+        marker.title = 'Link cut off by the caption - hover to show the full link';
+        range.surroundContents(marker);
+        found = true;
+      }
+    }
+
+    if (found) {
+      element.setAttribute('data-instaclick-truncated', 'true');
+      truncatedCaptionText.set(element, element.textContent);
+    }
+  }
+
+  /**
+   * Re-link a caption whose cut-off URLs were marked, once its text has changed
+   * (Instagram expanded it, or the user clicked "more")
+   */
+  function reprocessTruncatedCaption(caption) {
+    const text = caption.textContent;
+    if (truncatedCaptionText.get(caption) === text) return;
+    truncatedCaptionText.delete(caption);
+
+    caption.querySelectorAll('.instaclick-truncated').forEach(unwrapTruncatedMarker);
+
+    caption.removeAttribute('data-instaclick-truncated');
+    caption.removeAttribute('data-instaclick-processed');
+    caption.querySelectorAll('[data-instaclick-processed]').forEach(el => {
+      el.removeAttribute('data-instaclick-processed');
+    });
+    processor.add(caption);
+  }
+
+  /**
+   * Find the "more" button that belongs to a caption, searching outwards
+   */
+  function findMoreButton(fromElement) {
+    let container = fromElement.parentElement;
+    for (let depth = 0; container && depth < 6; depth++, container = container.parentElement) {
+      const buttons = container.querySelectorAll('[role="button"], button');
+      for (const button of buttons) {
+        if (MORE_BUTTON_REGEX.test(button.textContent.trim())) return button;
+      }
+    }
+    return null;
+  }
+
+  function handleTruncatedHover(event) {
+    const marker = event.target.closest?.('.instaclick-truncated');
+    clearTimeout(truncatedHoverTimeout);
+    if (!marker || !settings.expandTruncatedLinks) return;
+
+    // Short delay so sweeping the mouse across a caption doesn't expand it
+    truncatedHoverTimeout = setTimeout(() => {
+      if (!marker.isConnected) return;
+      findMoreButton(marker)?.click();
+    }, 300);
+  }
+
+  // ============================================
+  // LINKS IN IMAGES (on-device OCR)
+  // ============================================
+
+  // Post, story and modal images - only ones big enough to carry readable text
+  const SCANNABLE_IMAGE_SELECTOR = 'article img, div[role="dialog"] img, section img';
+  const MIN_SCANNABLE_IMAGE_SIZE = 200;
+
+  let imageScanButton = null;
+  let imageScanTarget = null;
+
+  /**
+   * The post image under the pointer. Instagram lays a transparent div over
+   * post images, so the image is rarely the event target itself.
+   */
+  function findScannableImage(event) {
+    return document.elementsFromPoint(event.clientX, event.clientY).find(el =>
+      el.tagName === 'IMG' &&
+      el.matches(SCANNABLE_IMAGE_SELECTOR) &&
+      el.clientWidth >= MIN_SCANNABLE_IMAGE_SIZE &&
+      el.clientHeight >= MIN_SCANNABLE_IMAGE_SIZE
+    );
+  }
+
+  /**
+   * Offer a "Find links" button on the hovered post image (opt-in)
+   */
+  function handleImageHover(event) {
+    if (!isActive() || !settings.scanImagesForLinks) return;
+    if (event.target.closest?.('.instaclick-image-scan-btn, .instaclick-image-links')) return;
+
+    const img = findScannableImage(event);
+    if (!img) {
+      hideImageScanButton();
+      return;
+    }
+    if (img === imageScanTarget && imageScanButton?.isConnected) return;
+
+    if (!imageScanButton) {
+      imageScanButton = document.createElement('button');
+      imageScanButton.className = 'instaclick-image-scan-btn';
+      imageScanButton.type = 'button';
+      imageScanButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (imageScanTarget) scanImageForLinks(imageScanTarget);
+      });
+    }
+
+    const rect = img.getBoundingClientRect();
+    imageScanTarget = img;
+    imageScanButton.textContent = '🔍 Find links';
+    imageScanButton.disabled = false;
+    imageScanButton.style.top = `${rect.top + 8}px`;
+    imageScanButton.style.left = `${rect.right - 8}px`;
+    document.body.appendChild(imageScanButton);
+  }
+
+  function hideImageScanButton() {
+    imageScanButton?.remove();
+    imageScanTarget = null;
+  }
+
+  /**
+   * Read the text in an image and run it through the normal link detectors.
+   * The text is read on this machine (background.js readImageText) - the
+   * image is never uploaded.
+   */
+  async function scanImageForLinks(img) {
+    imageScanButton.textContent = '🔍 Reading…';
+    imageScanButton.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'READ_IMAGE_TEXT',
+        url: img.currentSrc || img.src
+      });
+      if (!response?.success) {
+        showImageLinks(img, [], response?.blocked ? response.error : 'Could not read this image');
+        return;
+      }
+
+      const seen = new Set();
+      const candidates = response.lines
+        .flatMap(line => findLinkCandidates(line))
+        .filter(candidate => !seen.has(candidate.href) && seen.add(candidate.href));
+
+      showImageLinks(img, candidates, candidates.length === 0 ? 'No links found in this image' : null);
+    } catch (error) {
+      console.debug('InstaClick: reading image text failed', error);
+      showImageLinks(img, [], 'Could not read this image');
+    } finally {
+      hideImageScanButton();
+    }
   }
 
   /**
-   * Process a container and all its text-containing elements
+   * Lay the links found in an image over it as clickable chips
    */
-  function processContainer(container) {
-    if (!container || !settings.enabled) return;
-    
-    // Process direct text content
-    processor.add(container);
-    
-    // Find and process text elements
-    const textElements = container.querySelectorAll('span, div, p, h1, h2, h3, h4, h5, h6, li');
-    textElements.forEach(el => processor.add(el));
+  function showImageLinks(img, candidates, message) {
+    document.querySelector('.instaclick-image-links')?.remove();
+
+    const rect = img.getBoundingClientRect();
+    const overlay = document.createElement('div');
+    overlay.className = 'instaclick-image-links';
+    overlay.style.top = `${rect.top + window.scrollY}px`;
+    overlay.style.left = `${rect.left + window.scrollX}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+
+    const close = document.createElement('button');
+    close.className = 'instaclick-image-links-close';
+    close.type = 'button';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close');
+    close.addEventListener('click', () => overlay.remove());
+    overlay.appendChild(close);
+
+    const chips = candidates.map(candidate => {
+      const chip = createLinkElement(candidate);
+      chip.classList.add('instaclick-image-chip');
+      chip.append(getDisplayText(candidate.kind, candidate.text));
+      overlay.appendChild(chip);
+      return chip;
+    });
+
+    if (message) {
+      const note = document.createElement('span');
+      note.className = 'instaclick-image-links-message';
+      note.textContent = message;
+      overlay.appendChild(note);
+    }
+
+    document.body.appendChild(overlay);
+    registerNewLinks(chips);
   }
 
   // ============================================
@@ -392,6 +1327,15 @@
   function getPreviewManager() {
     if (!previewManager && window.LinkPreviewManager) {
       previewManager = new window.LinkPreviewManager();
+      for (const [protocol, { label, type, describe }] of Object.entries(APP_SCHEMES)) {
+        previewManager.registerAppScheme(protocol, { label, type, describe });
+      }
+      previewManager.setOpenGuard((link, url, options) => allowAppLink(link, url) && !warnIfFlagged(link, url, options));
+      previewManager.setSite(site);
+      previewManager.setDarkModeCheck(isDarkMode);
+      previewManager.setLookalikeCheck(getLookalikeWarning);
+      previewManager.setQROptions({ size: settings.qrSize, errorCorrection: settings.qrErrorCorrection });
+      previewManager.setExpandShortUrls(settings.expandShortUrls);
     }
     return previewManager;
   }
@@ -402,14 +1346,60 @@
   // EVENT HANDLERS
   // ============================================
 
-  function handleLinkClick(event) {
-    const link = event.target.closest('.instaclick-link');
-    if (!link) return;
-    
-    const url = link.getAttribute('data-instaclick-url');
-    if (!url) return;
-    
-    // Always send tracking message - background script decides whether to record
+  /**
+   * Apply the scheme policy before an app link opens: 'never' blocks it,
+   * 'confirm' asks first. Web, email and phone links always pass.
+   */
+  function allowAppLink(link, url) {
+    if (link.getAttribute('data-instaclick-kind') !== 'app') return true;
+
+    let protocol;
+    try {
+      protocol = new URL(url).protocol;
+    } catch {
+      return false;
+    }
+    if (BLOCKED_SCHEMES.has(protocol)) return false;
+
+    const policy = getSchemePolicy(protocol);
+    if (policy === 'confirm') {
+      return window.confirm(`Open this link in ${APP_SCHEMES[protocol].label}?\n\n${url}`);
+    }
+    return policy === 'link';
+  }
+
+  /**
+   * Show the blocklist warning instead of opening a flagged link. Returns
+   * whether it was shown - the caller then cancels its own navigation.
+   */
+  function warnIfFlagged(link, url, { newTab = false } = {}) {
+    const flagged = isWebKind(link.getAttribute('data-instaclick-kind')) && getBlocklistMatch(url);
+    const manager = flagged && getPreviewManager();
+    if (!manager) return false;
+
+    manager.showLinkWarning({
+      url,
+      listName: flagged.name,
+      domain: flagged.domain,
+      onProceed: () => {
+        trackClick(url);
+        openLink(link, url, { newTab });
+      }
+    });
+    return true;
+  }
+
+  function openLink(link, url, { newTab = false } = {}) {
+    const kind = link.getAttribute('data-instaclick-kind');
+    if (newTab || (settings.openInNewTab && isWebKind(kind))) {
+      window.open(url, '_blank', 'noopener,noreferrer');
+    } else {
+      window.location.href = url;
+    }
+  }
+
+  // Always send tracking message - background script decides whether to record
+  function trackClick(url) {
     if (chrome.runtime?.id) {
       try {
         chrome.runtime.sendMessage({ type: 'TRACK_CLICK', url }).catch(() => {});
@@ -419,6 +1409,27 @@
     }
   }
 
+  function handleLinkClick(event) {
+    const link = event.target.closest('.instaclick-link');
+    if (!link) return;
+    
+    const url = link.getAttribute('data-instaclick-url');
+    if (!url) return;
+
+    if (!allowAppLink(link, url)) {
+      event.preventDefault();
+      return;
+    }
+
+    // Ctrl/Cmd/Shift-click asked for a new tab or window, so proceeding opens one
+    if (warnIfFlagged(link, url, { newTab: event.ctrlKey || event.metaKey || event.shiftKey })) {
+      event.preventDefault();
+      return;
+    }
+    
+    trackClick(url);
+  }
+
   function handleContextMenu(event) {
     const link = event.target.closest('.instaclick-link');
     if (!link) return;
@@ -427,13 +1438,7 @@
     if (!url) return;
     
     // Track right-click/context menu as well
-    if (chrome.runtime?.id) {
-      try {
-        chrome.runtime.sendMessage({ type: 'TRACK_CLICK', url }).catch(() => {});
-      } catch (e) {
-        // Extension context invalidated, ignore
-      }
-    }
+    trackClick(url);
   }
 
   function handleAuxClick(event) {
@@ -444,14 +1449,13 @@
     if (event.button === 1) {
       const url = link.getAttribute('data-instaclick-url');
       if (!url) return;
-      
-      if (chrome.runtime?.id) {
-        try {
-          chrome.runtime.sendMessage({ type: 'TRACK_CLICK', url }).catch(() => {});
-        } catch (e) {
-          // Extension context invalidated, ignore
-        }
+
+      if (warnIfFlagged(link, url, { newTab: true })) {
+        event.preventDefault();
+        return;
       }
+      
+      trackClick(url);
     }
   }
 
@@ -468,8 +1472,12 @@
         const url = link.getAttribute('data-instaclick-url');
         if (url) {
           // Small delay before showing (100ms)
+          // DM links get a locally built card unless third-party lookups are allowed,
+          // blocklisted links always do
+          const localOnly = (isDirectMessageLink(link) && !settings.dmPreviewLookups) ||
+            link.classList.contains('instaclick-dangerous-link');
           hoverDelayTimeout = setTimeout(() => {
-            manager.show(link, url);
+            manager.show(link, url, { localOnly });
           }, 100);
         }
       }
@@ -477,15 +1485,9 @@
       // Only handle mouseout from links, not from card
       if (!link) return;
       
-      // Check if we're moving to the preview card or QR popup
-      const relatedTarget = event.relatedTarget;
-      const toPreviewCard = relatedTarget && (
-        relatedTarget.closest('.instaclick-preview-card') || 
-        relatedTarget.classList?.contains('instaclick-preview-card')
-      );
-      const toQRPopup = relatedTarget && relatedTarget.closest('.instaclick-qr-popup');
-      
-      if (toPreviewCard || toQRPopup) {
+      // Check if we're moving to the preview card or QR popup (the page only
+      // sees their shadow host)
+      if (manager.isOverlay(event.relatedTarget)) {
         // Moving to preview card or QR popup - don't hide
         return;
       }
@@ -502,13 +1504,209 @@
     if (event.key === 'Enter' && event.target.classList.contains('instaclick-link')) {
       event.preventDefault();
       const url = event.target.getAttribute('data-instaclick-url');
-      if (url) {
-        if (settings.openInNewTab) {
-          window.open(url, '_blank', 'noopener,noreferrer');
-        } else {
-          window.location.href = url;
-        }
+      if (url && allowAppLink(event.target, url) && !warnIfFlagged(event.target, url)) {
+        openLink(event.target, url);
+      }
+    }
+  }
+
+  // ============================================
+  // UNDO / RE-RENDER
+  // ============================================
+
+  // How each link was made, so the page text can be put back exactly:
+  // 'text'  - a text node replaced by text + links (processTextNode)
+  // 'split' - part of one text node moved into a link (soft hyphens)
+  // 'run'   - a range across several nodes moved into a link (cross-node links)
+  const linkOrigins = new WeakMap();
+
+  // Settings that decide what becomes a link - changing one re-runs detection
+  const DETECTION_SETTINGS = [
+    'linkifyEmails', 'linkifyPhones', 'recoverObfuscatedLinks', 'crossNodeLinks',
+    'expandTruncatedLinks', 'schemePolicies'
+  ];
+
+  /**
+   * Nodes from just below `ancestor` down to `node` - the path a range
+   * boundary splits when its contents are extracted
+   */
+  function getBoundaryChain(node, ancestor) {
+    const chain = [];
+    for (let current = node; current && current !== ancestor; current = current.parentNode) {
+      chain.unshift(current);
+    }
+    return chain;
+  }
+
+  /**
+   * Put an original text node back in place of the nodes that replaced it.
+   * Returns the parent, or null if the page has moved those nodes since.
+   */
+  function putBackOriginalText(original, inserted) {
+    const parent = inserted[0].parentNode;
+    if (!parent || !inserted.every(node => node.parentNode === parent)) return null;
+
+    parent.insertBefore(original, inserted[0]);
+    inserted.forEach(node => node.remove());
+    return parent;
+  }
+
+  /**
+   * Merge a node cloned by extractContents back into the original it was
+   * split from - `side` is the end of the original the clone's content belongs to
+   */
+  function mergeSplitClone(chain, level, clone, side) {
+    if (!clone) return;
+    const original = chain[level];
+
+    if (original.nodeType === Node.TEXT_NODE) {
+      if (side === 'end') original.appendData(clone.data);
+      else original.insertData(0, clone.data);
+    } else {
+      mergeSplitClone(chain, level + 1, side === 'end' ? clone.firstChild : clone.lastChild, side);
+      if (side === 'end') original.append(...clone.childNodes);
+      else original.prepend(...clone.childNodes);
+    }
+    clone.remove();
+  }
+
+  /**
+   * Undo a cross-node or soft-hyphen link, restoring the nodes it was cut from
+   */
+  function restoreRunLink(link, origin) {
+    link.querySelector('.instaclick-favicon')?.remove();
+
+    if (origin.type === 'split') {
+      origin.node.insertData(origin.offset, link.textContent);
+      link.remove();
+      return;
+    }
+
+    const boundaries = [...origin.startChain, ...origin.endChain];
+    const startClone = link.firstChild;
+    const endClone = link.lastChild;
+    link.replaceWith(...link.childNodes);
+
+    // The page changed the boundary nodes since - plain text is the best we can do
+    if (!boundaries.every(node => node.isConnected)) return;
+
+    mergeSplitClone(origin.startChain, 0, startClone, 'end');
+    if (endClone !== startClone) mergeSplitClone(origin.endChain, 0, endClone, 'start');
+  }
+
+  /**
+   * Remove a "cut-off link" marker, joining its text back into the node it was split from
+   */
+  function unwrapTruncatedMarker(marker) {
+    const before = marker.previousSibling;
+    const first = marker.firstChild;
+    marker.replaceWith(...marker.childNodes);
+
+    const head = before?.nodeType === Node.TEXT_NODE ? before : first;
+    while (head?.nextSibling?.nodeType === Node.TEXT_NODE) {
+      head.appendData(head.nextSibling.data);
+      head.nextSibling.remove();
+    }
+  }
+
+  /**
+   * Put back the page exactly as it was before InstaClick touched it
+   */
+  function restoreOriginalDom() {
+    // Markers first - they split text nodes that 'text' origins put back
+    document.querySelectorAll('.instaclick-truncated').forEach(unwrapTruncatedMarker);
+
+    // Then single text nodes, then runs, whose boundary nodes may be among them
+    const links = Array.from(document.querySelectorAll('.instaclick-link'));
+    for (const link of links) {
+      const origin = linkOrigins.get(link);
+      if (origin?.type === 'text' && link.isConnected) {
+        putBackOriginalText(origin.original, origin.inserted);
+      }
+    }
+    for (const link of links) {
+      const origin = linkOrigins.get(link);
+      if (origin && origin.type !== 'text' && link.isConnected) {
+        restoreRunLink(link, origin);
+      }
+    }
+
+    document.querySelectorAll('[data-instaclick-processed], [data-instaclick-truncated]').forEach(el => {
+      el.removeAttribute('data-instaclick-processed');
+      el.removeAttribute('data-instaclick-truncated');
+    });
+    document.querySelector('.instaclick-image-links')?.remove();
+    hideImageScanButton();
+    previewManager?.hide();
+
+    processor.queue.clear();
+    mutationObserver?.takeRecords();
+    linkCount = 0;
+    updateBadge();
+  }
+
+  /**
+   * Bring existing links in line with the current settings (clean URL, target,
+   * style, tooltip) without touching the text around them
+   */
+  function rerenderLinks() {
+    document.querySelectorAll('.instaclick-link').forEach(link => {
+      const kind = link.getAttribute('data-instaclick-kind');
+      const original = link.getAttribute('data-instaclick-original-url') || link.getAttribute('data-instaclick-url');
+      const href = getCleanUrl(kind, original);
+
+      link.href = href;
+      link.setAttribute('data-instaclick-url', href);
+      if (href !== original) {
+        link.setAttribute('data-instaclick-original-url', original);
+      } else {
+        link.removeAttribute('data-instaclick-original-url');
+      }
+
+      if (settings.openInNewTab && isWebKind(kind)) {
+        link.target = '_blank';
+      } else {
+        link.removeAttribute('target');
       }
+
+      const title = getLinkTitle(kind, href);
+      if (title) {
+        link.title = title;
+      } else {
+        link.removeAttribute('title');
+      }
+
+      // Keep extra state classes (dead link, multinode, image chip)
+      const extraClasses = Array.from(link.classList).filter(cls =>
+        cls !== 'instaclick-link' && cls !== 'instaclick-dangerous-link' && cls !== 'instaclick-lookalike-link' &&
+        !cls.startsWith('instaclick-style-') && !cls.startsWith('instaclick-kind-')
+      );
+      link.className = getLinkClassName(kind);
+      link.classList.add(...extraClasses);
+      if (isWebKind(kind) && getBlocklistMatch(href)) link.classList.add('instaclick-dangerous-link');
+      if (isWebKind(kind) && getLookalikeWarning(href)) link.classList.add('instaclick-lookalike-link');
+    });
+  }
+
+  /**
+   * React to new settings: undo everything when disabled, re-run detection when
+   * a detection setting changed, otherwise just re-render the existing links
+   */
+  function applySettingsChange(previous) {
+    if (!isActive()) {
+      if (isActive(previous)) restoreOriginalDom();
+      return;
+    }
+
+    const detectionChanged = !isActive(previous) || DETECTION_SETTINGS.some(key =>
+      JSON.stringify(previous[key]) !== JSON.stringify(settings[key])
+    );
+
+    if (detectionChanged) {
+      restoreOriginalDom();
+      findAndProcessLinks();
+    } else {
+      rerenderLinks();
     }
   }
 
@@ -516,44 +1714,111 @@
   // MUTATION OBSERVER
   // ============================================
 
+  let mutationObserver = null;
+
+  // Text nodes we replaced with links, mapped to the nodes put in their place.
+  // React keeps writing to the original node when it recycles DOM (reels), so a
+  // change to a detached original means the links next to it are stale.
+  const replacedTextNodes = new WeakMap();
+  let recycleObserver = null;
+
+  function watchReplacedText(original, inserted) {
+    if (!recycleObserver) {
+      recycleObserver = new MutationObserver(mutations => {
+        for (const mutation of mutations) restoreRecycledText(mutation.target);
+      });
+    }
+    replacedTextNodes.set(original, inserted);
+    recycleObserver.observe(original, { characterData: true });
+  }
+
+  /**
+   * Put a recycled text node back in place of our stale links and re-link it
+   */
+  function restoreRecycledText(original) {
+    const inserted = replacedTextNodes.get(original);
+    replacedTextNodes.delete(original);
+    if (!inserted || original.isConnected) return;
+
+    const parent = putBackOriginalText(original, inserted);
+    if (parent) processor.refresh(parent);
+  }
+
+  /**
+   * Outermost inline ancestor of an element, so a re-scan sees URLs that
+   * continue through sibling spans
+   */
+  function getInlineRoot(element) {
+    let root = element;
+    while (INLINE_TAGS.has(root.tagName) && root.parentElement && INLINE_TAGS.has(root.parentElement.tagName)) {
+      root = root.parentElement;
+    }
+    return root;
+  }
+
+  /**
+   * Turn a link back into its plain text (its text changed under it)
+   */
+  function unwrapStaleLink(link) {
+    const parent = link.parentNode;
+    link.querySelector('.instaclick-favicon')?.remove();
+    link.replaceWith(...link.childNodes);
+    parent.normalize();
+    linkCount = Math.max(0, linkCount - 1);
+    return parent;
+  }
+
   function setupMutationObserver() {
-    const observer = new MutationObserver((mutations) => {
+    mutationObserver = new MutationObserver((mutations) => {
       for (const mutation of mutations) {
-        // Handle added nodes
+        // Text changed inside a caption with cut-off links (e.g. "more" was clicked)
+        const changed = mutation.target.nodeType === Node.TEXT_NODE
+          ? mutation.target.parentElement
+          : mutation.target;
+        const truncatedCaption = changed?.closest?.('[data-instaclick-truncated]');
+        if (truncatedCaption && mutation.type !== 'attributes') {
+          reprocessTruncatedCaption(truncatedCaption);
+          continue;
+        }
+
+        if (mutation.type === 'characterData') {
+          // A text node was rewritten in place - recycled reel/comment DOM
+          const staleLink = changed?.closest('.instaclick-link');
+          const target = staleLink ? unwrapStaleLink(staleLink) : changed;
+          processor.refresh(target && getInlineRoot(target));
+          continue;
+        }
+
+        // Handle attribute changes (for dynamic content updates)
+        if (mutation.type === 'attributes') {
+          if (mutation.target.getAttribute('role') === 'dialog') {
+            processContainer(mutation.target);
+          }
+          continue;
+        }
+
+        // Added elements are queued as they are; added text means the parent's text changed
+        let textAdded = false;
         for (const node of mutation.addedNodes) {
-          if (node.nodeType !== Node.ELEMENT_NODE) continue;
-          
-          // Check if it's a modal or content container
-          const isModal = MODAL_SELECTORS.some(sel => 
-            node.matches?.(sel) || node.querySelector?.(sel)
-          );
-          
-          if (isModal) {
-            // Process modals with slight delay for content to load
-            setTimeout(() => processContainer(node), 150);
-          } else {
-            // Regular content
+          if (node.nodeType === Node.ELEMENT_NODE) {
             processContainer(node);
+          } else if (node.nodeType === Node.TEXT_NODE) {
+            textAdded = true;
           }
         }
-        
-        // Handle attribute changes (for dynamic content updates)
-        if (mutation.type === 'attributes' && 
-            mutation.attributeName === 'style' &&
-            mutation.target.getAttribute('role') === 'dialog') {
-          processContainer(mutation.target);
-        }
+        if (textAdded) processor.refresh(getInlineRoot(mutation.target));
       }
     });
 
-    observer.observe(document.body, {
+    mutationObserver.observe(document.body, {
       childList: true,
       subtree: true,
+      characterData: true,
       attributes: true,
-      attributeFilter: ['style', 'class']
+      attributeFilter: ['style']
     });
 
-    return observer;
+    return mutationObserver;
   }
 
   // ============================================
@@ -574,21 +1839,7 @@
       }
     };
 
-    // Listen for popstate (back/forward navigation)
-    window.addEventListener('popstate', onUrlChange);
-
-    // Patch pushState and replaceState to detect SPA navigation
-    const originalPushState = history.pushState;
-    history.pushState = function(...args) {
-      originalPushState.apply(this, args);
-      onUrlChange();
-    };
-
-    const originalReplaceState = history.replaceState;
-    history.replaceState = function(...args) {
-      originalReplaceState.apply(this, args);
-      onUrlChange();
-    };
+    site.watchNavigation(onUrlChange);
   }
 
   // ============================================
@@ -611,27 +1862,40 @@
   // ============================================
 
   function findAndProcessLinks() {
-    if (!settings.enabled) return;
-    
-    // Process main content areas
-    CONTENT_SELECTORS.forEach(selector => {
-      try {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => processContainer(el));
-      } catch (e) {
-        // Invalid selector, skip
-      }
-    });
-    
-    // Process modals/popups
-    MODAL_SELECTORS.forEach(selector => {
-      try {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => processContainer(el));
-      } catch (e) {
-        // Invalid selector, skip
+    if (!isActive()) return;
+
+    // Every selector group of the profile that applies to this page
+    for (const [, group] of window.InstaClickSelectors.getActiveGroups(selectorProfile, location.pathname)) {
+      for (const selector of group.selectors) {
+        try {
+          document.querySelectorAll(selector).forEach(el => processContainer(el));
+        } catch (e) {
+          // Invalid selector, skip
+        }
       }
-    });
+    }
+  }
+
+  /**
+   * How many elements each selector of the profile matches on this page -
+   * the popup lists the ones that match nothing
+   */
+  function validateSelectors() {
+    const activeGroups = new Set(
+      window.InstaClickSelectors.getActiveGroups(selectorProfile, location.pathname).map(([name]) => name)
+    );
+
+    return Object.entries(selectorProfile.groups).map(([name, group]) => ({
+      name,
+      active: activeGroups.has(name),
+      selectors: group.selectors.map(selector => {
+        try {
+          return { selector, matches: document.querySelectorAll(selector).length };
+        } catch (e) {
+          return { selector, matches: 0, error: e.message };
+        }
+      })
+    }));
   }
 
   // ============================================
@@ -643,30 +1907,149 @@
       const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
       if (response.success) {
         settings = { ...settings, ...response.settings };
-        updateLinkStyles();
+        rerenderLinks();
       }
     } catch (e) {
       console.warn('InstaClick: Could not load settings, using defaults');
     }
   }
 
-  function updateLinkStyles() {
-    // Update existing links with new style class
-    document.querySelectorAll('.instaclick-link').forEach(link => {
-      link.className = `instaclick-link instaclick-style-${settings.linkStyle}`;
-    });
+  async function loadSelectorProfile() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PROFILE', site: site.id });
+      if (response.success) {
+        selectorProfile = window.InstaClickSelectors.mergeProfile(response.profile, site.profile);
+      }
+    } catch (e) {
+      console.warn('InstaClick: Could not load selector profile, using bundled default');
+    }
+  }
+
+  // ============================================
+  // BLOCKLISTS
+  // ============================================
+
+  // Lists imported in the popup (blocklist.js) - matched here, nothing is sent anywhere
+  let blocklistMatcher = null;
+
+  async function loadBlocklists() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_BLOCKLIST_DATA' });
+      if (response.success) {
+        blocklistMatcher = response.lists.length > 0
+          ? window.InstaClickBlocklist.createMatcher(response.lists)
+          : null;
+      }
+    } catch (e) {
+      console.warn('InstaClick: Could not load blocklists');
+    }
+  }
+
+  /**
+   * The list that flags a web URL's host ({ id, name, domain }), or null
+   */
+  function getBlocklistMatch(url) {
+    if (!blocklistMatcher) return null;
+    try {
+      const { protocol, hostname } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:' ? blocklistMatcher.match(hostname) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // ============================================
+  // CLEAN URLS
+  // ============================================
+
+  // Bundled rules until the ones saved in the popup have loaded (cleanurls.js)
+  let urlCleaner = window.InstaClickCleanUrls.createCleaner(window.InstaClickCleanUrls.DEFAULT_RULES);
+
+  async function loadCleanUrlRules() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CLEAN_URL_RULES' });
+      if (response.success && response.rules) {
+        urlCleaner = window.InstaClickCleanUrls.createCleaner(response.rules);
+      }
+    } catch (e) {
+      console.warn('InstaClick: Could not load clean URL rules, using bundled rules');
+    }
+  }
+
+  /**
+   * The URL a link opens, previews and records: web links without their
+   * tracking parameters while "Clean links" is on
+   */
+  function getCleanUrl(kind, href) {
+    if (!settings.cleanUrls || !isWebKind(kind)) return href;
+    return urlCleaner.clean(href).url;
+  }
+
+  // ============================================
+  // LOOKALIKE DOMAINS
+  // ============================================
+
+  // Rebuilt when the lookalike settings change (brand list, thresholds)
+  let lookalikeChecker = null;
+  let lookalikeCheckerKey = null;
+
+  /**
+   * Why a web URL's host looks like an impersonation (lookalike.js), or null
+   */
+  function getLookalikeWarning(url) {
+    if (!settings.lookalikeWarnings || !window.InstaClickLookalike) return null;
+
+    const options = {
+      maxDistance: settings.lookalikeMaxDistance,
+      minLength: settings.lookalikeMinLength,
+      extraDomains: settings.protectedBrands,
+      ignoredBrands: settings.ignoredBrands
+    };
+    const key = JSON.stringify(options);
+    if (key !== lookalikeCheckerKey) {
+      lookalikeChecker = window.InstaClickLookalike.createChecker(options);
+      lookalikeCheckerKey = key;
+    }
+
+    try {
+      const { protocol, hostname } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:' ? lookalikeChecker.check(hostname) : null;
+    } catch {
+      return null;
+    }
   }
 
   // Listen for settings updates from popup
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'SETTINGS_UPDATED') {
+      const previous = settings;
       settings = { ...settings, ...message.settings };
-      updateLinkStyles();
-      
-      // Re-process if enabled
-      if (settings.enabled) {
+      previewManager?.setQROptions({ size: settings.qrSize, errorCorrection: settings.qrErrorCorrection });
+      previewManager?.setExpandShortUrls(settings.expandShortUrls);
+      applySettingsChange(previous);
+    } else if (message.type === 'SELECTOR_PROFILE_UPDATED') {
+      if (message.site === site.id) {
+        selectorProfile = window.InstaClickSelectors.mergeProfile(message.profile, site.profile);
         findAndProcessLinks();
       }
+    } else if (message.type === 'CLEAN_URL_RULES_UPDATED') {
+      const { createCleaner, DEFAULT_RULES } = window.InstaClickCleanUrls;
+      urlCleaner = createCleaner(message.rules || DEFAULT_RULES);
+      rerenderLinks();
+    } else if (message.type === 'BLOCKLISTS_UPDATED') {
+      loadBlocklists().then(rerenderLinks);
+    } else if (message.type === 'VALIDATE_SELECTORS') {
+      sendResponse({
+        success: true,
+        site: site.id,
+        profile: { name: selectorProfile.name, version: selectorProfile.version },
+        path: location.pathname,
+        groups: validateSelectors()
+      });
+      return;
+    } else if (message.type === 'GET_PROCESSING_STATS') {
+      sendResponse({ success: true, stats: { ...processor.stats, queued: processor.queue.size } });
+      return;
     }
     sendResponse({ success: true });
   });
@@ -683,6 +2066,9 @@
     
     // Load settings
     await loadSettings();
+    await loadSelectorProfile();
+    await loadCleanUrlRules();
+    await loadBlocklists();
     
     // Set up event listeners
     document.addEventListener('click', handleLinkClick, true);
@@ -690,6 +2076,8 @@
     document.addEventListener('auxclick', handleAuxClick, true);
     document.addEventListener('mouseover', handleLinkHover, true);
     document.addEventListener('mouseout', handleLinkHover, true);
+    document.addEventListener('mouseover', handleTruncatedHover, true);
+    document.addEventListener('mouseover', handleImageHover, true);
     document.addEventListener('keydown', handleKeydown, true);
     
     // Initial processing
@@ -702,35 +2090,7 @@
     // Set up Intersection Observer for preloading
     setupPreloadObserver();
     
-    // Scroll handler for lazy-loaded content
-    const handleScroll = debounce(findAndProcessLinks, 250);
-    window.addEventListener('scroll', handleScroll, { passive: true });
-    
-    // Periodic check for missed content (failsafe, also handles recycled reel elements)
-    setInterval(() => {
-      if (!settings.enabled || document.hidden) return;
-
-      const containers = document.querySelectorAll(
-        'div[role="dialog"], div[role="presentation"]'
-      );
-      if (containers.length === 0) return;
-
-      containers.forEach(container => {
-        const spans = container.querySelectorAll('span');
-        spans.forEach(el => {
-          // Skip if already has a working link inside
-          if (el.querySelector('.instaclick-link')) return;
-          if (el.closest('.instaclick-link')) return;
-
-          URL_REGEX.lastIndex = 0;
-          if (URL_REGEX.test(el.textContent)) {
-            // Clear processed flag (handles recycled DOM in reels)
-            el.removeAttribute('data-instaclick-processed');
-            processor.add(el);
-          }
-        });
-      });
-    }, 3000);
+    window.addEventListener('scroll', hideImageScanButton, { passive: true });
     
     console.log('InstaClick v2.4.7 initialized');
   }
@@ -748,7 +2108,7 @@
         if (entry.isIntersecting) {
           const link = entry.target;
           const url = link.getAttribute('data-instaclick-url');
-          if (url && settings.showPreview) {
+          if (url && canPreloadLink(link)) {
             manager.preloadLink(url);
           }
           // Unobserve after triggering preload
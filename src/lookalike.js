@@ -0,0 +1,349 @@
+/**
+ * InstaClick v2.4.7 - Lookalike Domains
+ * Spots links that impersonate well-known brands
+ *
+ * Three checks, run on the link's hostname:
+ * - homographs: labels mixing scripts (Latin "a" next to Cyrillic "р"), or
+ *   written entirely in letters that pass for Latin ones ("аррӏе")
+ * - lookalikes: a domain name a few edits away from a protected brand once
+ *   confusable characters are folded ("paypa1", "rnicrosoft", "gooogle")
+ * - brand names in the wrong place: "paypal.com.account-check.xyz",
+ *   "instagram-support.co", or on a TLD the brand doesn't use: "paypal.co"
+ * A brand's own domains (and their subdomains) are never flagged.
+ */
+
+const InstaClickLookalike = (() => {
+  // Protected brands - `label` is the name as it appears in a domain. Brands
+  // named after everyday words (Threads, Meta, Booking) are left out: too many
+  // honest domains sit one letter away from them. `countryDomains` brands run
+  // sites under country TLDs (google.de, amazon.co.jp) besides those listed.
+  const BRANDS = [
+    { name: 'PayPal', label: 'paypal', domains: ['paypal.com', 'paypal.me', 'paypalobjects.com'], countryDomains: true },
+    { name: 'Apple', label: 'apple', domains: ['apple.com', 'icloud.com', 'apple.news'], countryDomains: true },
+    { name: 'iCloud', label: 'icloud', domains: ['icloud.com', 'apple.com'] },
+    { name: 'Google', label: 'google', domains: ['google.com', 'goo.gl', 'googleusercontent.com', 'gstatic.com', 'googleapis.com'], countryDomains: true },
+    { name: 'Gmail', label: 'gmail', domains: ['gmail.com', 'google.com'] },
+    { name: 'YouTube', label: 'youtube', domains: ['youtube.com', 'youtu.be', 'ytimg.com'], countryDomains: true },
+    { name: 'Microsoft', label: 'microsoft', domains: ['microsoft.com', 'live.com', 'office.com', 'microsoftonline.com'], countryDomains: true },
+    { name: 'Outlook', label: 'outlook', domains: ['outlook.com', 'live.com', 'office.com'] },
+    { name: 'Office 365', label: 'office365', domains: ['office.com', 'microsoft.com'] },
+    { name: 'Amazon', label: 'amazon', domains: ['amazon.com', 'amzn.to', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.co.jp', 'amazonaws.com'], countryDomains: true },
+    { name: 'Instagram', label: 'instagram', domains: ['instagram.com', 'cdninstagram.com', 'ig.me'] },
+    { name: 'Facebook', label: 'facebook', domains: ['facebook.com', 'fb.com', 'fb.me', 'fbcdn.net', 'messenger.com'], countryDomains: true },
+    { name: 'WhatsApp', label: 'whatsapp', domains: ['whatsapp.com', 'wa.me', 'whatsapp.net'] },
+    { name: 'TikTok', label: 'tiktok', domains: ['tiktok.com', 'tiktokcdn.com'] },
+    { name: 'Snapchat', label: 'snapchat', domains: ['snapchat.com'] },
+    { name: 'X (Twitter)', label: 'twitter', domains: ['twitter.com', 'x.com', 't.co', 'twimg.com'] },
+    { name: 'LinkedIn', label: 'linkedin', domains: ['linkedin.com', 'lnkd.in'] },
+    { name: 'Telegram', label: 'telegram', domains: ['telegram.org', 't.me', 'telegram.me'] },
+    { name: 'Discord', label: 'discord', domains: ['discord.com', 'discord.gg', 'discordapp.com'] },
+    { name: 'Netflix', label: 'netflix', domains: ['netflix.com'], countryDomains: true },
+    { name: 'Spotify', label: 'spotify', domains: ['spotify.com', 'spotify.link'], countryDomains: true },
+    { name: 'Twitch', label: 'twitch', domains: ['twitch.tv', 'twitch.com'] },
+    { name: 'Steam', label: 'steampowered', domains: ['steampowered.com', 'steamcommunity.com'] },
+    { name: 'Steam Community', label: 'steamcommunity', domains: ['steamcommunity.com', 'steampowered.com'] },
+    { name: 'Roblox', label: 'roblox', domains: ['roblox.com'] },
+    { name: 'GitHub', label: 'github', domains: ['github.com', 'github.io', 'githubusercontent.com'] },
+    { name: 'Dropbox', label: 'dropbox', domains: ['dropbox.com'] },
+    { name: 'DocuSign', label: 'docusign', domains: ['docusign.com', 'docusign.net'] },
+    { name: 'Adobe', label: 'adobe', domains: ['adobe.com'] },
+    { name: 'Yahoo', label: 'yahoo', domains: ['yahoo.com'], countryDomains: true },
+    { name: 'eBay', label: 'ebay', domains: ['ebay.com', 'ebay.co.uk', 'ebay.de'], countryDomains: true },
+    { name: 'Walmart', label: 'walmart', domains: ['walmart.com'], countryDomains: true },
+    { name: 'Airbnb', label: 'airbnb', domains: ['airbnb.com'], countryDomains: true },
+    { name: 'Coinbase', label: 'coinbase', domains: ['coinbase.com'] },
+    { name: 'Binance', label: 'binance', domains: ['binance.com'] },
+    { name: 'MetaMask', label: 'metamask', domains: ['metamask.io'] },
+    { name: 'Revolut', label: 'revolut', domains: ['revolut.com', 'revolut.me'] },
+    { name: 'Venmo', label: 'venmo', domains: ['venmo.com'] },
+    { name: 'Cash App', label: 'cashapp', domains: ['cash.app', 'cashapp.com'] },
+    { name: 'Wells Fargo', label: 'wellsfargo', domains: ['wellsfargo.com'] },
+    { name: 'Bank of America', label: 'bankofamerica', domains: ['bankofamerica.com'] },
+    { name: 'Citibank', label: 'citibank', domains: ['citibank.com', 'citi.com'] },
+    { name: 'HSBC', label: 'hsbc', domains: ['hsbc.com', 'hsbc.co.uk'], countryDomains: true },
+    { name: 'Barclays', label: 'barclays', domains: ['barclays.co.uk', 'barclays.com'] },
+    { name: 'DHL', label: 'dhl', domains: ['dhl.com', 'dhl.de'], countryDomains: true },
+    { name: 'FedEx', label: 'fedex', domains: ['fedex.com'] },
+    { name: 'UPS', label: 'ups', domains: ['ups.com'] },
+    { name: 'USPS', label: 'usps', domains: ['usps.com'] }
+  ];
+
+  // Words phishing domains put next to a brand's name (apple-id-verify.com,
+  // ups-tracking.net). Short brands are everyday words too ("pop-ups",
+  // "big-apple-bakery"), so they only count as misplaced beside one of these.
+  const ACCOUNT_WORDS = new Set([
+    'account', 'accounts', 'alert', 'auth', 'billing', 'bonus', 'claim', 'confirm', 'customs', 'delivery',
+    'gift', 'help', 'helpdesk', 'id', 'invoice', 'login', 'logon', 'official', 'package', 'parcel', 'pay',
+    'payment', 'portal', 'prize', 'recovery', 'refund', 'reward', 'secure', 'security', 'service', 'signin',
+    'support', 'track', 'tracking', 'unlock', 'update', 'verify', 'verification', 'wallet'
+  ]);
+
+  // TLDs one typo away from .com and .net - a brand's name there is never its country site
+  const TYPO_TLDS = new Set(['co', 'cm', 'om', 'ne']);
+
+  // Brands on .com hold their name on these too - sister sites (google.org)
+  // and their own infrastructure (netflix.net)
+  const BRAND_GENERIC_TLDS = new Set(['net', 'org']);
+
+  // Second-level labels under which the registrable name is one label further left
+  const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go']);
+
+  // Non-Latin letters that render like Latin ones (Cyrillic, Greek, Armenian and
+  // others). Only near-identical shapes - "м" or "т" would flag ordinary Russian words.
+  const CONFUSABLES = {
+    'а': 'a', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j', 'ӏ': 'l', 'о': 'o',
+    'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'у': 'y',
+    'α': 'a', 'ϲ': 'c', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u',
+    'օ': 'o', 'ս': 'u', 'հ': 'h', 'ո': 'n', 'զ': 'q', 'ց': 'g',
+    'ɑ': 'a', 'ɡ': 'g', 'ı': 'i', 'ȷ': 'j', 'ɩ': 'i', 'ꞁ': 'l', 'ꜱ': 's'
+  };
+
+  // ASCII tricks, applied to the brand too so both sides compare alike
+  const ASCII_LOOKALIKES = [
+    [/rn/g, 'm'], [/vv/g, 'w'], [/[1i|]/g, 'l'], [/0/g, 'o'], [/5/g, 's'], [/3/g, 'e'], [/4/g, 'a'], [/7/g, 't']
+  ];
+
+  const SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Hebrew', 'Arabic', 'Devanagari',
+    'Thai', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo'].map(name => ({
+    name,
+    pattern: new RegExp(`\\p{Script=${name}}`, 'u')
+  }));
+
+  // Script mixes that are normal in East Asian domain names
+  const ALLOWED_SCRIPT_MIXES = [
+    ['Latin', 'Han', 'Hiragana', 'Katakana'],
+    ['Latin', 'Han', 'Hangul'],
+    ['Latin', 'Han', 'Bopomofo']
+  ];
+
+  const DEFAULT_OPTIONS = {
+    maxDistance: 1, // edits allowed between a domain name and a brand...
+    minLength: 6, // ...for brands at least this long (shorter ones need an exact lookalike)
+    extraDomains: [], // user brands, as their official domains
+    ignoredBrands: [] // bundled brands not to protect, by label or name
+  };
+
+  /**
+   * Brand list for the given options: the bundled brands minus ignored ones,
+   * plus user domains - a domain whose name is a bundled brand adds to that
+   * brand's official domains instead.
+   */
+  function buildBrands({ extraDomains = [], ignoredBrands = [] } = {}) {
+    const ignored = new Set(ignoredBrands.map(name => name.toLowerCase()));
+    const brands = BRANDS
+      .filter(brand => !ignored.has(brand.label) && !ignored.has(brand.name.toLowerCase()))
+      .map(brand => ({ ...brand, domains: [...brand.domains] }));
+
+    for (const extraDomain of extraDomains) {
+      const domain = window.InstaClickDomains?.toAsciiHostname(extraDomain) || extraDomain;
+      // Names are compared in Unicode form, official domains in ASCII
+      const labels = (window.InstaClickDomains?.toUnicodeHostname(domain) || domain).split('.');
+      const label = labels[getRegistrableIndex(labels)];
+      if (!label) continue;
+      const existing = brands.find(brand => brand.label === label);
+      if (existing) {
+        existing.domains.push(domain);
+      } else {
+        brands.push({ name: domain, label, domains: [domain] });
+      }
+    }
+    return brands;
+  }
+
+  /**
+   * Index of the label a domain is registered under: "paypal" in www.paypal.co.uk
+   */
+  function getRegistrableIndex(labels) {
+    if (labels.length < 2) return -1;
+    return labels.length >= 3 && SECOND_LEVEL_LABELS.has(labels[labels.length - 2])
+      ? labels.length - 3
+      : labels.length - 2;
+  }
+
+  /**
+   * Letters folded to what they look like: accents dropped, confusable
+   * non-Latin letters mapped to Latin, then ASCII tricks undone
+   */
+  function getSkeleton(label) {
+    let skeleton = [...label.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()]
+      .map(char => CONFUSABLES[char] || char)
+      .join('');
+    for (const [pattern, replacement] of ASCII_LOOKALIKES) {
+      skeleton = skeleton.replace(pattern, replacement);
+    }
+    return skeleton;
+  }
+
+  function getScripts(label) {
+    const scripts = new Set();
+    for (const char of label) {
+      if (!/\p{L}/u.test(char)) continue;
+      const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+      scripts.add(script ? script.name : 'Other');
+    }
+    return scripts;
+  }
+
+  function isMixedScript(scripts) {
+    if (scripts.size < 2) return false;
+    return !ALLOWED_SCRIPT_MIXES.some(mix => [...scripts].every(script => mix.includes(script)));
+  }
+
+  // Non-ASCII label made only of letters that pass for Latin (whole-script homograph)
+  function looksLatin(label) {
+    return /[^\x00-\x7f]/.test(label) &&
+      [...label].every(char => /[a-z0-9-]/.test(char) || CONFUSABLES[char]);
+  }
+
+  /**
+   * Optimal string alignment distance (adjacent swaps count as one edit),
+   * giving up with Infinity once it exceeds `max`
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return Infinity;
+      previous2 = previous;
+      previous = current;
+    }
+    return previous[b.length] <= max ? previous[b.length] : Infinity;
+  }
+
+  function isOfficialDomain(hostname, brand) {
+    return brand.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  }
+
+  // Whether a brand's name under these suffix labels ("de", "co.uk") can be its own site
+  function usesSuffix(brand, suffix) {
+    const tld = suffix[suffix.length - 1];
+    if (suffix.length === 1 && BRAND_GENERIC_TLDS.has(tld) && brand.domains.includes(`${brand.label}.com`)) return true;
+    return !!brand.countryDomains && /^[a-z]{2}$/.test(tld) && !(suffix.length === 1 && TYPO_TLDS.has(tld));
+  }
+
+  /**
+   * Checker for the given options (see DEFAULT_OPTIONS). check(hostname)
+   * takes the ASCII (punycode) or Unicode form and returns null for a clean
+   * host, or { type, brand, hostname, asciiHostname } with type 'mixedScript',
+   * 'homograph', 'lookalike', 'brandMisplaced' or 'foreignTld' (brand may be
+   * null for homographs that don't imitate a listed brand).
+   */
+  function createChecker(options = {}) {
+    const { maxDistance, minLength, ...brandOptions } = { ...DEFAULT_OPTIONS, ...options };
+    const brands = buildBrands(brandOptions).map(brand => ({ ...brand, skeleton: getSkeleton(brand.label) }));
+
+    function findImitatedBrand(name) {
+      const skeleton = getSkeleton(name);
+      for (const brand of brands) {
+        if (name === brand.label) continue;
+        if (skeleton === brand.skeleton) return brand;
+        if (maxDistance > 0 && brand.label.length >= minLength &&
+            editDistance(skeleton, brand.skeleton, maxDistance) <= maxDistance) {
+          return brand;
+        }
+      }
+      return null;
+    }
+
+    function check(hostname) {
+      const toUnicode = window.InstaClickDomains?.toUnicodeHostname || (host => host);
+      const unicodeHostname = toUnicode(hostname.toLowerCase().replace(/\.$/, ''));
+      const asciiHostname = window.InstaClickDomains?.toAsciiHostname(unicodeHostname) || hostname;
+      const result = (type, brand) => ({
+        type,
+        brand: brand && { name: brand.name, domain: brand.domains[0] },
+        hostname: unicodeHostname,
+        asciiHostname
+      });
+
+      if (brands.some(brand => isOfficialDomain(asciiHostname, brand))) return null;
+
+      const labels = unicodeHostname.split('.');
+      const registrableIndex = getRegistrableIndex(labels);
+      if (registrableIndex === -1) return null;
+      const registrable = labels[registrableIndex];
+
+      for (const label of labels) {
+        if (isMixedScript(getScripts(label))) {
+          return result('mixedScript', findImitatedBrand(label));
+        }
+      }
+
+      // The registrable name and each of its hyphenated parts
+      const names = [registrable, ...(registrable.includes('-') ? registrable.split('-') : [])];
+      for (const name of names) {
+        const brand = findImitatedBrand(name);
+        if (brand) return result(looksLatin(name) ? 'homograph' : 'lookalike', brand);
+      }
+      if (looksLatin(registrable)) return result('homograph', null);
+
+      // A brand's exact name in a subdomain or next to other words:
+      // paypal.com.evil.xyz, instagram-support.co. Brands shorter than minLength
+      // also need an account word beside them or an official domain spelled out.
+      const subdomains = labels.slice(0, registrableIndex);
+      const words = [...subdomains, registrable].flatMap(label => label.split('-'));
+      const misplaced = brands.find(brand => {
+        const mentioned = subdomains.some(label => label.split('-').includes(brand.label)) ||
+          (registrable !== brand.label && registrable.split('-').includes(brand.label));
+        return mentioned && (
+          brand.label.length >= minLength ||
+          words.some(word => ACCOUNT_WORDS.has(word)) ||
+          brand.domains.some(domain => `.${asciiHostname}`.includes(`.${domain}.`))
+        );
+      });
+      if (misplaced) return result('brandMisplaced', misplaced);
+
+      // The brand's own name on a TLD it doesn't use: paypal.co, netflix.xyz
+      const suffix = labels.slice(registrableIndex + 1);
+      const foreign = brands.find(brand => registrable === brand.label && !usesSuffix(brand, suffix));
+      return foreign ? result('foreignTld', foreign) : null;
+    }
+
+    return { check };
+  }
+
+  /**
+   * One-sentence explanation of a check result, for tooltips and the preview card
+   */
+  function describe(warning) {
+    const brand = warning.brand ? `${warning.brand.name} (${warning.brand.domain})` : null;
+    switch (warning.type) {
+      case 'mixedScript':
+        return `Mixes letters from different alphabets${brand ? ` to look like ${brand}` : ''} - the real address is ${warning.asciiHostname}`;
+      case 'homograph':
+        return `Uses non-Latin letters${brand ? ` to look like ${brand}` : ' that look like Latin ones'} - the real address is ${warning.asciiHostname}`;
+      case 'lookalike':
+        return `Looks like ${brand} but is a different site`;
+      case 'brandMisplaced':
+        return `Uses the name ${warning.brand.name} but isn't on ${warning.brand.domain}`;
+      case 'foreignTld':
+        return `Uses the name ${warning.brand.name}, but ${warning.brand.name} isn't on ${warning.hostname} - its site is ${warning.brand.domain}`;
+      default:
+        return '';
+    }
+  }
+
+  return {
+    BRANDS,
+    DEFAULT_OPTIONS,
+    createChecker,
+    describe,
+    getSkeleton,
+    editDistance
+  };
+})();
+
+// Export for use in content script and popup
+window.InstaClickLookalike = InstaClickLookalike;
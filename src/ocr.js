@@ -0,0 +1,71 @@
+/**
+ * InstaClick - On-device OCR
+ * Offscreen document opened by the background worker (service workers can't
+ * start the Web Worker the engine runs in). Reads the text in post images for
+ * "Links in images" with Tesseract compiled to WebAssembly. The engine and its
+ * English model ship in vendor/ocr, so nothing is downloaded and the image
+ * never leaves this machine.
+ */
+
+const OCR_FILES_URL = chrome.runtime.getURL('vendor/ocr/');
+// The engine holds on to ~100 MB - it is stopped when no image has been read for a while
+const OCR_IDLE_TIMEOUT_MS = 60000;
+
+let ocrWorker = null;
+let pendingImages = 0;
+let idleTimer = null;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Messages for the background worker reach this page too - leave them to it
+  if (message.target !== 'ocr' || message.type !== 'RECOGNIZE_IMAGE') return false;
+  recognizeImage(message.image).then(sendResponse);
+  return true;
+});
+
+/**
+ * The lines of text in an image (a data: URL): { success, lines }
+ */
+async function recognizeImage(image) {
+  clearTimeout(idleTimer);
+  pendingImages++;
+  try {
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(image);
+    const lines = data.text.split('\n').map(line => line.trim()).filter(Boolean);
+    return { success: true, lines };
+  } catch (error) {
+    console.error('InstaClick: OCR failed', error);
+    return { success: false, error: error?.message || String(error) };
+  } finally {
+    pendingImages--;
+    if (pendingImages === 0) idleTimer = setTimeout(stopOcrWorker, OCR_IDLE_TIMEOUT_MS);
+  }
+}
+
+function getOcrWorker() {
+  if (!self.Tesseract) {
+    return Promise.reject(new Error('The OCR engine is missing - run npm install to copy it to vendor/ocr'));
+  }
+
+  ocrWorker ||= Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+    workerPath: `${OCR_FILES_URL}worker.min.js`,
+    corePath: OCR_FILES_URL,
+    langPath: OCR_FILES_URL,
+    workerBlobURL: false, // a blob: worker couldn't load the bundled files
+    cacheMethod: 'none' // the model is already on disk
+  }).catch(error => {
+    ocrWorker = null;
+    throw error;
+  });
+  return ocrWorker;
+}
+
+async function stopOcrWorker() {
+  const worker = ocrWorker;
+  ocrWorker = null;
+  try {
+    await (await worker)?.terminate();
+  } catch {
+    // Never started
+  }
+}
@@ -5,6 +5,10 @@
 class PopupController {
   constructor() {
     this.settings = {};
+    this.selectorProfile = null;
+    this.cleanUrlRules = null;
+    this.updatingBlocklist = null;
+    this.site = InstaClickSites.SITE_ADAPTERS.instagram;
     this.init();
   }
 
@@ -15,7 +19,15 @@ class PopupController {
     this.setupTabs();
     this.setupSettings();
     this.setupHistory();
+    this.setupSelectorProfile();
+    this.setupBlocklists();
+    this.setupCleanUrlRules();
     await this.loadHistory();
+    await this.loadProcessingStats();
+    await this.loadSelectorProfile();
+    await this.loadPreviewCacheUsage();
+    await this.loadBlocklists();
+    await this.loadCleanUrlRules();
   }
 
   async loadSettings() {
@@ -34,11 +46,49 @@ class PopupController {
     document.getElementById('enabled').checked = this.settings.enabled !== false;
     document.getElementById('openInNewTab').checked = this.settings.openInNewTab !== false;
     document.getElementById('showPreview').checked = this.settings.showPreview !== false;
+    document.getElementById('expandShortUrls').checked = this.settings.expandShortUrls !== false;
+    document.getElementById('shortUrlDomains').value = (this.settings.shortUrlDomains || []).join(', ');
+    document.getElementById('cleanUrls').checked = this.settings.cleanUrls !== false;
+    document.getElementById('lookalikeWarnings').checked = this.settings.lookalikeWarnings !== false;
+    document.getElementById('lookalikeMaxDistance').value = String(this.settings.lookalikeMaxDistance ?? 1);
+    document.getElementById('lookalikeMinLength').value = String(this.settings.lookalikeMinLength ?? 6);
+    document.getElementById('protectedBrands').value = (this.settings.protectedBrands || []).join(', ');
+    document.getElementById('ignoredBrands').value = (this.settings.ignoredBrands || []).join(', ');
     document.getElementById('trackHistory').checked = this.settings.trackHistory !== false;
+    document.getElementById('linkifyEmails').checked = this.settings.linkifyEmails !== false;
+    document.getElementById('linkifyPhones').checked = this.settings.linkifyPhones !== false;
+    document.getElementById('crossNodeLinks').checked = this.settings.crossNodeLinks !== false;
+    document.getElementById('expandTruncatedLinks').checked = this.settings.expandTruncatedLinks !== false;
+    document.getElementById('recoverObfuscatedLinks').checked = this.settings.recoverObfuscatedLinks === true;
+    document.getElementById('scanImagesForLinks').checked = this.settings.scanImagesForLinks === true;
+    document.getElementById('dmPreload').checked = this.settings.dmPreload === true;
+    document.getElementById('dmPreviewLookups').checked = this.settings.dmPreviewLookups === true;
+    document.getElementById('siteInstagram').checked = this.settings.siteInstagram !== false;
+    document.getElementById('siteThreads').checked = this.settings.siteThreads !== false;
+    document.getElementById('siteFacebook').checked = this.settings.siteFacebook !== false;
+    document.getElementById('logRejectedLinks').checked = this.settings.logRejectedLinks === true;
+    document.getElementById('preloadPreviews').checked = this.settings.preloadPreviews === true;
+
+    const schemePolicies = this.settings.schemePolicies || {};
+    document.querySelectorAll('.scheme-policy').forEach(select => {
+      const policy = schemePolicies[select.dataset.scheme];
+      if (policy) select.value = policy;
+    });
+
+    document.getElementById('previewCacheBudget').value = String(this.settings.previewCacheBudgetMB ?? 5);
+
+    const allowList = this.settings.egressAllowList || [];
+    const serviceIds = [...document.querySelectorAll('.egress-service')].map(el => el.dataset.service);
+    document.getElementById('privacyMode').value = this.settings.privacyMode || 'off';
+    document.querySelectorAll('.egress-service').forEach(checkbox => {
+      checkbox.checked = allowList.includes(checkbox.dataset.service);
+    });
+    document.getElementById('egressAllowHosts').value = allowList.filter(entry => !serviceIds.includes(entry)).join(', ');
+    this.updateAllowListVisibility();
   }
 
   setupSettings() {
-    const settingIds = ['enabled', 'openInNewTab', 'showPreview', 'trackHistory'];
+    const settingIds = ['enabled', 'openInNewTab', 'showPreview', 'expandShortUrls', 'trackHistory', 'linkifyEmails', 'linkifyPhones', 'crossNodeLinks', 'expandTruncatedLinks', 'recoverObfuscatedLinks', 'scanImagesForLinks', 'dmPreload', 'dmPreviewLookups', 'siteInstagram', 'siteThreads', 'siteFacebook', 'cleanUrls', 'lookalikeWarnings', 'logRejectedLinks', 'preloadPreviews'];
     
     settingIds.forEach(id => {
       const el = document.getElementById(id);
@@ -48,6 +98,65 @@ class PopupController {
         });
       }
     });
+
+    document.querySelectorAll('.scheme-policy').forEach(select => {
+      select.addEventListener('change', (e) => {
+        const schemePolicies = { ...this.settings.schemePolicies, [select.dataset.scheme]: e.target.value };
+        this.updateSetting('schemePolicies', schemePolicies);
+      });
+    });
+
+    document.getElementById('previewCacheBudget').addEventListener('change', async (e) => {
+      await this.updateSetting('previewCacheBudgetMB', Number(e.target.value));
+      await this.loadPreviewCacheUsage();
+    });
+    document.getElementById('clearPreviewCache').addEventListener('click', () => this.clearPreviewCache());
+
+    document.getElementById('privacyMode').addEventListener('change', async (e) => {
+      await this.updateSetting('privacyMode', e.target.value);
+      this.updateAllowListVisibility();
+    });
+    document.querySelectorAll('.egress-service').forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.saveEgressAllowList());
+    });
+    document.getElementById('egressAllowHosts').addEventListener('change', () => this.saveEgressAllowList());
+    document.getElementById('shortUrlDomains').addEventListener('change', (e) => {
+      this.updateSetting('shortUrlDomains', this.parseHostList(e.target.value));
+    });
+    document.getElementById('clearEgressLog').addEventListener('click', () => this.clearEgressLog());
+
+    document.getElementById('lookalikeMaxDistance').addEventListener('change', (e) => {
+      this.updateSetting('lookalikeMaxDistance', Number(e.target.value));
+    });
+    document.getElementById('lookalikeMinLength').addEventListener('change', (e) => {
+      this.updateSetting('lookalikeMinLength', Number(e.target.value));
+    });
+    document.getElementById('protectedBrands').addEventListener('change', (e) => {
+      this.updateSetting('protectedBrands', this.parseHostList(e.target.value));
+    });
+    document.getElementById('ignoredBrands').addEventListener('change', (e) => {
+      this.updateSetting('ignoredBrands', e.target.value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean));
+    });
+  }
+
+  updateAllowListVisibility() {
+    document.getElementById('egressAllowListGroup').style.display =
+      this.settings.privacyMode === 'allowList' ? 'block' : 'none';
+  }
+
+  // Checked services plus the hosts typed in, as one list of ids and hosts
+  saveEgressAllowList() {
+    const services = [...document.querySelectorAll('.egress-service:checked')].map(el => el.dataset.service);
+    const hosts = this.parseHostList(document.getElementById('egressAllowHosts').value);
+    this.updateSetting('egressAllowList', [...services, ...hosts]);
+  }
+
+  // "a.com, https://b.com/x" -> ['a.com', 'b.com']
+  parseHostList(value) {
+    return value
+      .split(',')
+      .map(host => host.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, ''))
+      .filter(Boolean);
   }
 
   async updateSetting(key, value) {
@@ -79,6 +188,8 @@ class PopupController {
         
         if (tab.dataset.tab === 'history') {
           this.loadHistory();
+        } else if (tab.dataset.tab === 'privacy') {
+          this.loadEgressLog();
         }
       });
     });
@@ -92,6 +203,521 @@ class PopupController {
     });
   }
 
+  setupSelectorProfile() {
+    const fileInput = document.getElementById('profileFile');
+
+    document.getElementById('importProfile').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.importSelectorProfile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    document.getElementById('exportProfile').addEventListener('click', () => this.exportSelectorProfile());
+    document.getElementById('resetProfile').addEventListener('click', () => this.saveSelectorProfile(null));
+    document.getElementById('checkSelectors').addEventListener('click', () => this.checkSelectors());
+  }
+
+  // Selector profiles are per site - edit the one of the active tab (Instagram otherwise)
+  async loadSelectorProfile() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const tabSite = tab?.url && InstaClickSites.getSiteForHost(new URL(tab.url).hostname);
+      if (tabSite) this.site = tabSite;
+
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PROFILE', site: this.site.id });
+      if (response.success) {
+        this.selectorProfile = response.profile;
+        this.renderSelectorProfileStatus();
+      }
+    } catch (error) {
+      console.error('Error loading selector profile:', error);
+    }
+  }
+
+  renderSelectorProfileStatus() {
+    const profile = InstaClickSelectors.mergeProfile(this.selectorProfile, this.site.profile);
+    const status = this.selectorProfile
+      ? `${this.site.name}: ${profile.name} - overrides ${profile.overridden.join(', ')} on bundled v${profile.version}`
+      : `${this.site.name}: bundled default v${profile.version}`;
+    document.getElementById('selectorProfileStatus').textContent = status;
+
+    const warning = document.getElementById('selectorProfileWarning');
+    warning.textContent = this.selectorProfile ? this.getSelectorProfileWarning(profile) : '';
+    warning.hidden = !warning.textContent;
+  }
+
+  // Imported profiles made from other bundled versions may override groups that have since been fixed
+  getSelectorProfileWarning(profile) {
+    switch (InstaClickSelectors.compareProfileVersion(profile)) {
+      case 'older':
+        return `Made from bundled v${profile.basedOn} - the bundled selectors are now v${profile.version}, so the groups it overrides may be out of date. Reset, or export and re-apply your changes.`;
+      case 'newer':
+        return `Made from bundled v${profile.basedOn}, which is newer than this InstaClick (v${profile.version}). Update InstaClick or check the page.`;
+      case 'unknown':
+        return `The profile doesn't say which bundled version it was made from - check it against v${profile.version}.`;
+      default:
+        return '';
+    }
+  }
+
+  async importSelectorProfile(file) {
+    let profile;
+    try {
+      profile = JSON.parse(await file.text());
+    } catch (error) {
+      this.showSelectorReport([{ text: `Not valid JSON: ${error.message}`, type: 'error' }]);
+      return;
+    }
+
+    const errors = InstaClickSelectors.validateProfile(profile);
+    if (profile?.site && profile.site !== this.site.id) {
+      errors.push(`Profile is for "${profile.site}", this tab is ${this.site.name}`);
+    }
+    if (errors.length > 0) {
+      this.showSelectorReport(errors.map(text => ({ text, type: 'error' })));
+      return;
+    }
+
+    await this.saveSelectorProfile(profile);
+  }
+
+  async saveSelectorProfile(profile) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SET_SELECTOR_PROFILE', site: this.site.id, profile });
+      if (response.success) {
+        this.selectorProfile = profile;
+        this.renderSelectorProfileStatus();
+        this.showSelectorReport([]);
+      }
+    } catch (error) {
+      console.error('Error saving selector profile:', error);
+    }
+  }
+
+  exportSelectorProfile() {
+    const { overridden, basedOn, ...profile } = InstaClickSelectors.mergeProfile(this.selectorProfile, this.site.profile);
+    // Keep the version the overrides were made from, so a re-import still warns
+    if (basedOn !== undefined) profile.version = basedOn;
+    this.downloadJson(profile, `instaclick-selectors-${this.site.id}.json`);
+  }
+
+  // Ask the content script in the active tab which selectors match nothing
+  async checkSelectors() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = tab?.id && await chrome.tabs.sendMessage(tab.id, { type: 'VALIDATE_SELECTORS' });
+      if (!response?.success) throw new Error('No response');
+
+      const problems = [];
+      for (const group of response.groups) {
+        if (!group.active) continue;
+        for (const { selector, matches, error } of group.selectors) {
+          if (error) problems.push({ text: `${group.name}: ${selector} - ${error}`, type: 'error' });
+          else if (matches === 0) problems.push({ text: `${group.name}: ${selector} matches nothing`, type: 'error' });
+        }
+      }
+
+      this.showSelectorReport(problems.length > 0
+        ? problems
+        : [{ text: `All selectors for ${response.path} match something`, type: 'ok' }]);
+    } catch (error) {
+      this.showSelectorReport([{ text: 'Open an Instagram, Threads or Facebook tab to check selectors', type: 'error' }]);
+    }
+  }
+
+  showSelectorReport(items) {
+    this.showReport(document.getElementById('selectorReport'), items);
+  }
+
+  showReport(list, items) {
+    list.replaceChildren(...items.map(({ text, type }) => {
+      const item = document.createElement('li');
+      item.className = `report-${type}`;
+      item.textContent = text;
+      return item;
+    }));
+  }
+
+  setupCleanUrlRules() {
+    const fileInput = document.getElementById('cleanUrlRulesFile');
+
+    document.getElementById('editCleanUrlRules').addEventListener('click', () => this.toggleCleanUrlRulesEditor(true));
+    document.getElementById('cancelCleanUrlRules').addEventListener('click', () => this.toggleCleanUrlRulesEditor(false));
+    document.getElementById('saveCleanUrlRules').addEventListener('click', () => {
+      this.applyCleanUrlRules(document.getElementById('cleanUrlRulesText').value);
+    });
+    document.getElementById('importCleanUrlRules').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      if (fileInput.files[0]) this.applyCleanUrlRules(await fileInput.files[0].text());
+      fileInput.value = '';
+    });
+    document.getElementById('exportCleanUrlRules').addEventListener('click', () => this.exportCleanUrlRules());
+    document.getElementById('resetCleanUrlRules').addEventListener('click', () => this.saveCleanUrlRules(null));
+  }
+
+  async loadCleanUrlRules() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CLEAN_URL_RULES' });
+      if (response.success) {
+        this.cleanUrlRules = response.rules;
+        this.renderCleanUrlRulesStatus();
+      }
+    } catch (error) {
+      console.error('Error loading clean URL rules:', error);
+    }
+  }
+
+  renderCleanUrlRulesStatus() {
+    const rules = this.cleanUrlRules || InstaClickCleanUrls.DEFAULT_RULES;
+    const counts = [
+      this.formatCount((rules.global || []).length, 'global parameter'),
+      this.formatCount(Object.keys(rules.domains || {}).length, 'site'),
+      this.formatCount((rules.paths || []).length, 'path rule')
+    ].join(', ');
+    document.getElementById('cleanUrlRulesStatus').textContent =
+      `${this.cleanUrlRules ? 'Custom' : 'Bundled'} rules: ${counts}`;
+  }
+
+  // The editor shows the rules in effect - saving replaces the bundled set as a whole
+  toggleCleanUrlRulesEditor(open) {
+    const rules = this.cleanUrlRules || InstaClickCleanUrls.DEFAULT_RULES;
+    document.getElementById('cleanUrlRulesEditor').style.display = open ? 'block' : 'none';
+    if (open) document.getElementById('cleanUrlRulesText').value = JSON.stringify(rules, null, 2);
+    this.showCleanUrlRulesReport([]);
+  }
+
+  // From the editor or an imported file
+  async applyCleanUrlRules(text) {
+    let rules;
+    try {
+      rules = JSON.parse(text);
+    } catch (error) {
+      this.showCleanUrlRulesReport([{ text: `Not valid JSON: ${error.message}`, type: 'error' }]);
+      return;
+    }
+
+    const errors = InstaClickCleanUrls.validateRules(rules);
+    if (errors.length > 0) {
+      this.showCleanUrlRulesReport(errors.map(text => ({ text, type: 'error' })));
+      return;
+    }
+
+    if (await this.saveCleanUrlRules(rules)) {
+      this.showCleanUrlRulesReport([{ text: 'Rules saved - open tabs use them right away', type: 'ok' }]);
+    }
+  }
+
+  async saveCleanUrlRules(rules) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SET_CLEAN_URL_RULES', rules });
+      if (!response.success) throw new Error(response.error);
+
+      this.cleanUrlRules = rules;
+      this.renderCleanUrlRulesStatus();
+      this.toggleCleanUrlRulesEditor(false);
+      return true;
+    } catch (error) {
+      console.error('Error saving clean URL rules:', error);
+      this.showCleanUrlRulesReport([{ text: `Could not save rules: ${error.message}`, type: 'error' }]);
+      return false;
+    }
+  }
+
+  exportCleanUrlRules() {
+    const rules = this.cleanUrlRules || InstaClickCleanUrls.DEFAULT_RULES;
+    this.downloadJson(rules, 'instaclick-clean-url-rules.json');
+  }
+
+  showCleanUrlRulesReport(items) {
+    this.showReport(document.getElementById('cleanUrlRulesReport'), items);
+  }
+
+  setupBlocklists() {
+    const fileInput = document.getElementById('blocklistFile');
+
+    document.getElementById('importBlocklist').addEventListener('click', () => {
+      this.updatingBlocklist = null;
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.importBlocklist(fileInput.files[0], this.updatingBlocklist);
+      fileInput.value = '';
+    });
+  }
+
+  async loadBlocklists() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_BLOCKLISTS' });
+      if (response.success) {
+        this.renderBlocklists(response.blocklists);
+      }
+    } catch (error) {
+      console.error('Error loading blocklists:', error);
+    }
+  }
+
+  // Lists only change by importing a file again - an update keeps the list's id and name
+  async importBlocklist(file, existing = null) {
+    let parsed;
+    try {
+      parsed = InstaClickBlocklist.parseBlocklist(await file.text());
+    } catch (error) {
+      this.showBlocklistReport([{ text: `Could not read ${file.name}: ${error.message}`, type: 'error' }]);
+      return;
+    }
+
+    if (parsed.domains.length === 0) {
+      this.showBlocklistReport([{ text: `No domains found in ${file.name}`, type: 'error' }]);
+      return;
+    }
+
+    const list = {
+      id: existing?.id || `list-${Date.now()}`,
+      name: existing?.name || file.name.replace(/\.(txt|list|hosts)$/i, ''),
+      fileName: file.name,
+      ...parsed
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SAVE_BLOCKLIST', list });
+      if (!response.success) throw new Error(response.error);
+
+      this.renderBlocklists(response.blocklists);
+      const report = [{
+        text: `${list.name}: ${this.formatCount(parsed.domains.length, 'domain')} (${InstaClickBlocklist.FORMAT_NAMES[parsed.format]})`,
+        type: 'ok'
+      }];
+      if (parsed.skipped > 0) {
+        report.push({ text: `${this.formatCount(parsed.skipped, 'rule')} skipped - only whole-domain rules apply to links`, type: 'error' });
+      }
+      this.showBlocklistReport(report);
+    } catch (error) {
+      console.error('Error saving blocklist:', error);
+      this.showBlocklistReport([{ text: `Could not save ${list.name}: ${error.message}`, type: 'error' }]);
+    }
+  }
+
+  async removeBlocklist(list) {
+    if (!confirm(`Remove the blocklist "${list.name}"?`)) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'REMOVE_BLOCKLIST', id: list.id });
+      if (response.success) {
+        this.renderBlocklists(response.blocklists);
+        this.showBlocklistReport([]);
+      }
+    } catch (error) {
+      console.error('Error removing blocklist:', error);
+    }
+  }
+
+  showBlocklistReport(items) {
+    this.showReport(document.getElementById('blocklistReport'), items);
+  }
+
+  renderBlocklists(blocklists) {
+    const container = document.getElementById('blocklists');
+    container.textContent = '';
+
+    if (blocklists.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'history-empty';
+      empty.textContent = 'No blocklists imported.';
+      container.appendChild(empty);
+      return;
+    }
+
+    const fileInput = document.getElementById('blocklistFile');
+    const fragment = document.createDocumentFragment();
+
+    for (const list of blocklists) {
+      const item = document.createElement('div');
+      item.className = 'history-item blocklist-item';
+
+      const iconDiv = document.createElement('div');
+      iconDiv.className = 'history-icon';
+      iconDiv.textContent = '🛡️';
+
+      const infoDiv = document.createElement('div');
+      infoDiv.className = 'history-info';
+
+      const nameDiv = document.createElement('div');
+      nameDiv.className = 'history-hostname';
+      nameDiv.textContent = list.name;
+
+      const countDiv = document.createElement('div');
+      countDiv.className = 'history-url';
+      countDiv.textContent = `${this.formatCount(list.domainCount, 'domain')}, ${InstaClickBlocklist.FORMAT_NAMES[list.format]}` +
+        (list.exceptionCount > 0 ? ` (${this.formatCount(list.exceptionCount, 'exception')})` : '');
+
+      const timeDiv = document.createElement('div');
+      timeDiv.className = 'history-time';
+      timeDiv.textContent = `${list.fileName}, updated ${this.formatTime(list.updatedAt)}`;
+
+      infoDiv.appendChild(nameDiv);
+      infoDiv.appendChild(countDiv);
+      infoDiv.appendChild(timeDiv);
+
+      const actions = document.createElement('div');
+      actions.className = 'profile-actions';
+
+      const updateButton = document.createElement('button');
+      updateButton.className = 'btn-small';
+      updateButton.textContent = 'Update';
+      updateButton.title = `Import a newer ${list.fileName}`;
+      updateButton.addEventListener('click', () => {
+        this.updatingBlocklist = list;
+        fileInput.click();
+      });
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'btn-small';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => this.removeBlocklist(list));
+
+      actions.appendChild(updateButton);
+      actions.appendChild(removeButton);
+
+      item.appendChild(iconDiv);
+      item.appendChild(infoDiv);
+      item.appendChild(actions);
+
+      fragment.appendChild(item);
+    }
+
+    container.appendChild(fragment);
+  }
+
+  async loadPreviewCacheUsage() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PREVIEW_CACHE_USAGE' });
+      if (response.success) {
+        const { entries, bytes, budgetBytes } = response.usage;
+        document.getElementById('previewCacheUsage').textContent =
+          `${entries} ${entries === 1 ? 'preview' : 'previews'}, ${this.formatBytes(bytes)} of ${this.formatBytes(budgetBytes)}`;
+      }
+    } catch (error) {
+      console.error('Error loading preview cache usage:', error);
+    }
+  }
+
+  async clearPreviewCache() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_PREVIEW_CACHE' });
+      await this.loadPreviewCacheUsage();
+    } catch (error) {
+      console.error('Error clearing preview cache:', error);
+    }
+  }
+
+  async loadEgressLog() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_EGRESS_LOG' });
+      if (response.success) {
+        this.renderEgressLog(response.log);
+      }
+    } catch (error) {
+      console.error('Error loading network log:', error);
+    }
+  }
+
+  renderEgressLog(log) {
+    const container = document.getElementById('egressLog');
+    container.textContent = '';
+
+    if (!log || log.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'history-empty';
+      empty.textContent = 'No requests yet.';
+      container.appendChild(empty);
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    for (const entry of log.slice(0, 100)) {
+      const item = document.createElement('div');
+      item.className = entry.allowed ? 'history-item' : 'history-item egress-blocked';
+      item.title = entry.host;
+
+      const iconDiv = document.createElement('div');
+      iconDiv.className = 'history-icon';
+      iconDiv.textContent = entry.allowed ? '↗️' : '⛔';
+
+      const infoDiv = document.createElement('div');
+      infoDiv.className = 'history-info';
+
+      const serviceDiv = document.createElement('div');
+      serviceDiv.className = 'history-hostname';
+      serviceDiv.textContent = entry.allowed ? entry.service : `${entry.service} (blocked${entry.reason ? `: ${entry.reason.toLowerCase()}` : ''})`;
+
+      const purposeDiv = document.createElement('div');
+      purposeDiv.className = 'history-url';
+      purposeDiv.textContent = `${entry.purpose} - ${entry.host}`;
+
+      const timeDiv = document.createElement('div');
+      timeDiv.className = 'history-time';
+      timeDiv.textContent = this.formatTime(entry.time);
+
+      infoDiv.appendChild(serviceDiv);
+      infoDiv.appendChild(purposeDiv);
+      infoDiv.appendChild(timeDiv);
+
+      item.appendChild(iconDiv);
+      item.appendChild(infoDiv);
+
+      fragment.appendChild(item);
+    }
+
+    container.appendChild(fragment);
+  }
+
+  async clearEgressLog() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_EGRESS_LOG' });
+      this.renderEgressLog([]);
+    } catch (error) {
+      console.error('Error clearing network log:', error);
+    }
+  }
+
+  formatCount(count, noun) {
+    return `${count.toLocaleString('en-US')} ${count === 1 ? noun : `${noun}s`}`;
+  }
+
+  // The download reads the blob after click() returns, so its URL is revoked later
+  downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Counters from the content script in the active tab (supported sites only)
+  async loadProcessingStats() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.id) return;
+
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PROCESSING_STATS' });
+      if (!response?.success) return;
+
+      const { nodesScanned, msSpent, linksCreated, slices, longestSliceMs, slicesOverBudget } = response.stats;
+      document.getElementById('processingStats').textContent =
+        `${nodesScanned} text nodes scanned, ${linksCreated} links created in ${msSpent.toFixed(1)} ms ` +
+        `(${slices} slices, longest ${longestSliceMs.toFixed(1)} ms, ${slicesOverBudget} over the 8 ms budget)`;
+    } catch (error) {
+      // Not a supported site - no content script to answer
+    }
+  }
+
   async loadHistory() {
     try {
       const statsResponse = await chrome.runtime.sendMessage({ type: 'GET_STATS' });
@@ -206,6 +832,12 @@ class PopupController {
       'instagram.com': '📷', 'pinterest.com': '📌',
       'medium.com': '📝', 'wikipedia.org': '📚',
     };
+    // Non-web links are recorded under their scheme ("mailto", "tg", ...)
+    const schemeIcons = {
+      'mailto': '✉️', 'tel': '📞', 'sms': '💬',
+      'tg': '✈️', 'whatsapp': '💬', 'spotify': '🎧',
+    };
+    if (schemeIcons[hostname]) return schemeIcons[hostname];
     
     for (const [domain, icon] of Object.entries(iconMap)) {
       if (hostname.includes(domain)) return icon;
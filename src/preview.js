@@ -1,14 +1,81 @@
 /**
  * InstaClick v2.4.2 - Link Preview Module
  * WhatsApp-style rich link previews with QR popup and URL expander
+ *
+ * The card and the QR popup are mounted in a closed shadow root styled only by
+ * preview.css, so the page's CSS can't reach them and ours can't reach the page.
  */
 
+// Trusted Types policy for the card's own static template - instagram.com may
+// enforce `require-trusted-types-for 'script'`. Page and link text never go
+// through it; they are set with textContent.
+const previewTemplatePolicy = (() => {
+  try {
+    return window.trustedTypes?.createPolicy('instaclick-preview', { createHTML: html => html }) || null;
+  } catch (e) {
+    // Policy name not allowed by the page's CSP - fall back to plain strings
+    return null;
+  }
+})();
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Choices in the QR popup - the image size applies to downloads and copies
+const QR_SIZES = [256, 512, 1024, 2048];
+const QR_LEVELS = [['L', 'Low (7%)'], ['M', 'Medium (15%)'], ['Q', 'Quartile (25%)'], ['H', 'High (30%)']];
+
+// How long a download's object URL is kept before it is revoked
+const DOWNLOAD_URL_LIFETIME_MS = 10000;
+
+// Link health states from the background worker's checks (checkLinkHealth) that
+// mean the link is dead or broken, and how the card's error panel explains them.
+// 'permanent' failures are cached for hours, the others for minutes.
+const LINK_HEALTH_FAILURES = {
+  notFound: {
+    icon: '🚫', title: 'Page Not Found', permanent: true,
+    description: 'This page no longer exists or has been moved'
+  },
+  serverError: {
+    icon: '🔥', title: 'Server Error', permanent: false,
+    description: 'The site is up but failed to serve this page'
+  },
+  dns: {
+    icon: '❓', title: 'Domain Not Found', permanent: true,
+    description: "This domain doesn't exist - it may have expired or been mistyped"
+  },
+  tls: {
+    icon: '🔓', title: 'Certificate Problem', permanent: true,
+    description: "The site's security certificate is invalid or expired, so the connection isn't private"
+  },
+  timeout: {
+    icon: '⏳', title: 'Not Responding', permanent: false,
+    description: 'The site took too long to answer - it may be down or overloaded'
+  },
+  redirectLoop: {
+    icon: '🔁', title: 'Redirect Loop', permanent: true,
+    description: 'The link keeps redirecting and never reaches a page'
+  },
+  parked: {
+    icon: '🅿️', title: 'Parked Domain', permanent: true,
+    description: 'The domain shows a placeholder or is for sale - the original site is gone'
+  },
+  unreachable: {
+    icon: '🔌', title: 'Site Unreachable', permanent: false,
+    description: 'The connection was refused or dropped'
+  }
+};
+
 class LinkPreviewManager {
   constructor() {
-    this.cache = new Map();
-    this.cacheDuration = 30 * 60 * 1000; // 30 minutes
+    this.preloaded = new Set();
+    this.overlayHost = null;
+    this.overlayRoot = null;
+    this.isDarkMode = null;
     this.previewElement = null;
     this.qrPopup = null;
+    this.linkWarning = null;
+    this.qrCode = null;
+    this.qrOptions = { size: 512, errorCorrection: 'M' };
     this.currentUrl = null;
     this.currentLink = null;
     this.hoverTimeout = null;
@@ -16,6 +83,105 @@ class LinkPreviewManager {
     this.fetchController = null;
     this.preloadQueue = new Set();
     this.isPreloading = false;
+    this.appSchemes = new Map();
+    this.openGuard = null;
+    this.site = null;
+    this.expandShortUrls = false;
+    this.lookalikeCheck = null;
+  }
+
+  /**
+   * Register the preview template for an app deep-link scheme (e.g. 'tg:')
+   */
+  registerAppScheme(protocol, template) {
+    this.appSchemes.set(protocol, template);
+  }
+
+  /**
+   * Set a check run before the card opens a link - guard(link, url, { newTab }),
+   * returning false cancels it. Link-in-bio entries are passed as web links.
+   */
+  setOpenGuard(guard) {
+    this.openGuard = guard;
+  }
+
+  /**
+   * Set the adapter of the site the card runs on (sites.js) - links back into
+   * it are not preloaded and get a local card
+   */
+  setSite(site) {
+    this.site = site;
+  }
+
+  /**
+   * The supported site a link points into, if any: its own hosts, or the
+   * current site's short links and related domains
+   */
+  getInternalSite(domain) {
+    const sites = window.InstaClickSites;
+    if (!sites) return null;
+    return sites.getSiteForHost(domain) ||
+      (this.site && sites.isInternalDomain(this.site, domain) ? this.site : null);
+  }
+
+  /**
+   * Set the page's dark mode check - the overlays follow the page's theme
+   */
+  setDarkModeCheck(check) {
+    this.isDarkMode = check;
+  }
+
+  /**
+   * Set the lookalike domain check - a URL it flags gets an explanation row
+   */
+  setLookalikeCheck(check) {
+    this.lookalikeCheck = check;
+  }
+
+  // ============================================
+  // OVERLAY ROOT
+  // ============================================
+
+  /**
+   * The closed shadow root every overlay is mounted in, created on first use
+   */
+  getOverlayRoot() {
+    if (this.overlayRoot) return this.overlayRoot;
+
+    this.overlayHost = document.createElement('instaclick-overlay');
+    // Hidden until our stylesheet has loaded, so nothing shows unstyled
+    this.overlayHost.hidden = true;
+    this.overlayRoot = this.overlayHost.attachShadow({ mode: 'closed' });
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL('src/preview.css');
+    stylesheet.addEventListener('load', () => {
+      this.overlayHost.hidden = false;
+    });
+    this.overlayRoot.appendChild(stylesheet);
+
+    document.body.appendChild(this.overlayHost);
+    return this.overlayRoot;
+  }
+
+  mountOverlay(element) {
+    this.getOverlayRoot().appendChild(element);
+    return element;
+  }
+
+  /**
+   * Whether a page event target is one of our overlays. Targets inside the
+   * closed root are retargeted to its host for listeners outside it.
+   */
+  isOverlay(node) {
+    return !!node && node === this.overlayHost;
+  }
+
+  applyTheme() {
+    if (!this.overlayHost) return;
+    const dark = this.isDarkMode ? this.isDarkMode() : true;
+    this.overlayHost.dataset.theme = dark ? 'dark' : 'light';
   }
 
   // ============================================
@@ -23,11 +189,11 @@ class LinkPreviewManager {
   // ============================================
 
   preloadLink(url) {
-    if (!url || this.cache.has(url) || this.preloadQueue.has(url)) return;
+    if (!url || this.preloaded.has(url) || this.preloadQueue.has(url)) return;
     
     try {
       const domain = new URL(url).hostname;
-      if (domain.includes('instagram.com')) return;
+      if (this.getInternalSite(domain)) return;
     } catch (e) {
       return;
     }
@@ -53,21 +219,22 @@ class LinkPreviewManager {
     
     for (const url of urls) {
       this.preloadQueue.delete(url);
+      this.preloaded.add(url);
       
-      if (!this.cache.has(url)) {
-        try {
-          const data = await this.fetchPreviewData(url);
+      try {
+        let data = await this.getFromCache(url);
+        if (!data) {
+          data = await this.fetchPreviewData(url);
           this.setCache(url, data);
-          
-          if (data && data.is404) {
-            this.markDeadLink(url);
-          }
-        } catch (e) {
-          console.warn('Preload failed for:', url);
+          await new Promise(r => setTimeout(r, 150));
+        }
+        
+        if (this.isDeadLink(data)) {
+          this.markDeadLink(url, data.health.state);
         }
+      } catch (e) {
+        console.warn('Preload failed for:', url);
       }
-      
-      await new Promise(r => setTimeout(r, 150));
     }
     
     this.isPreloading = false;
@@ -81,28 +248,45 @@ class LinkPreviewManager {
   // CACHE
   // ============================================
 
-  setCache(url, data) {
-    this.cache.set(url, {
-      data,
-      timestamp: Date.now()
-    });
+  // Previews live in the background worker's persistent cache, shared by all
+  // tabs. Only web pages are cached - contact and app cards are built locally.
+  isCacheable(url) {
+    return /^https?:/i.test(url) && !!chrome.runtime?.id;
   }
 
-  getFromCache(url) {
-    const cached = this.cache.get(url);
-    if (!cached) return null;
-    
-    if (Date.now() - cached.timestamp > this.cacheDuration) {
-      this.cache.delete(url);
+  async setCache(url, data) {
+    // Results blocked by privacy mode aren't kept - the mode may change
+    if (!data || data.blocked || !this.isCacheable(url)) return;
+
+    const failure = this.isDeadLink(data) && LINK_HEALTH_FAILURES[data.health.state];
+    const outcome = failure?.permanent ? 'notFound' : failure || data.failed ? 'error' : 'ok';
+    try {
+      await chrome.runtime.sendMessage({ type: 'CACHE_PREVIEW', url, data, outcome });
+    } catch (e) {
+      // Extension context might be invalidated
+    }
+  }
+
+  async getFromCache(url) {
+    if (!this.isCacheable(url)) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'GET_CACHED_PREVIEW', url });
+      return result?.data || null;
+    } catch (e) {
       return null;
     }
-    
-    return cached.data;
   }
 
-  markDeadLink(url) {
+  isDeadLink(data) {
+    return !!data?.health && Object.hasOwn(LINK_HEALTH_FAILURES, data.health.state);
+  }
+
+  // Each failure class has its own look (styles.css), e.g. instaclick-dead-dns
+  markDeadLink(url, state) {
+    const stateClass = `instaclick-dead-${state.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
     document.querySelectorAll(`.instaclick-link[data-instaclick-url="${CSS.escape(url)}"]`).forEach(link => {
-      link.classList.add('instaclick-dead-link');
+      link.classList.add('instaclick-dead-link', stateClass);
     });
   }
 
@@ -115,7 +299,7 @@ class LinkPreviewManager {
 
     this.previewElement = document.createElement('div');
     this.previewElement.className = 'instaclick-preview-card';
-    this.previewElement.innerHTML = `
+    this.previewElement.innerHTML = this.createTemplateHTML(`
       <a class="preview-link-area" href="#" target="_blank" rel="noopener noreferrer">
         <div class="preview-loading">
           <div class="preview-skeleton-image"></div>
@@ -139,6 +323,15 @@ class LinkPreviewManager {
             <div class="preview-expanded-url" style="display: none;">
               <span class="expanded-label">🔓 Actual destination:</span>
               <span class="expanded-url-text"></span>
+              <ol class="redirect-chain"></ol>
+            </div>
+            <div class="preview-recovered-url" style="display: none;">
+              <span class="recovered-label">🧩 Recovered link:</span>
+              <span class="recovered-url-text"></span>
+            </div>
+            <div class="preview-lookalike" style="display: none;">
+              <span class="lookalike-label">⚠️ Lookalike domain</span>
+              <span class="lookalike-text"></span>
             </div>
           </div>
         </div>
@@ -151,6 +344,17 @@ class LinkPreviewManager {
           </div>
         </div>
       </a>
+      <div class="preview-cleaned-url" style="display: none;">
+        <div class="cleaned-row">
+          <span class="cleaned-label"></span>
+          <button class="cleaned-toggle">Show original</button>
+        </div>
+        <div class="cleaned-original-url" style="display: none;"></div>
+      </div>
+      <div class="preview-bio-links" style="display: none;">
+        <div class="bio-links-label">🌳 Links on this page</div>
+        <ul class="bio-links-list"></ul>
+      </div>
       <div class="preview-actions-row">
         <button class="preview-action-btn preview-expand-btn" title="Expand Short URL">🔓 Expand URL</button>
         <button class="preview-action-btn preview-qr-btn" title="Generate QR Code">📱 QR Code</button>
@@ -159,26 +363,49 @@ class LinkPreviewManager {
         <span class="preview-branding-icon">🔗</span>
         <span class="preview-branding-text">Powered by <strong>InstaClick</strong></span>
       </div>
-    `;
+    `);
 
     // Get the link area
     this.linkArea = this.previewElement.querySelector('.preview-link-area');
 
     // Track clicks on the link area
     this.linkArea.addEventListener('click', (e) => {
+      if (this.openGuard && this.currentLink && !this.openGuard(this.currentLink, this.currentUrl)) {
+        e.preventDefault();
+        return;
+      }
       this.trackClick();
       // Let the default link behavior happen (opens in new tab)
       setTimeout(() => this.hide(), 100);
     });
 
-    // Middle click - also track
+    // Middle click - same guard (it opens a new tab), then also track
     this.linkArea.addEventListener('auxclick', (e) => {
-      if (e.button === 1) {
-        this.trackClick();
-        setTimeout(() => this.hide(), 100);
+      if (e.button !== 1) return;
+      if (this.openGuard && this.currentLink && !this.openGuard(this.currentLink, this.currentUrl, { newTab: true })) {
+        e.preventDefault();
+        return;
       }
+      this.trackClick();
+      setTimeout(() => this.hide(), 100);
     });
 
+    // Link-in-bio entries pass the same guard and are tracked under their own URL
+    const openBioLink = (e) => {
+      const entry = e.target.closest('.bio-link');
+      if (!entry || (e.type === 'auxclick' && e.button !== 1)) return;
+      if (this.openGuard && !this.openGuard(entry, entry.href, { newTab: true })) {
+        e.preventDefault();
+        return;
+      }
+      if (chrome.runtime?.id) {
+        chrome.runtime.sendMessage({ type: 'TRACK_CLICK', url: entry.href }).catch(() => {});
+      }
+    };
+    const bioLinks = this.previewElement.querySelector('.bio-links-list');
+    bioLinks.addEventListener('click', openBioLink);
+    bioLinks.addEventListener('auxclick', openBioLink);
+
     // QR button click
     this.previewElement.querySelector('.preview-qr-btn').addEventListener('click', (e) => {
       e.preventDefault();
@@ -186,6 +413,14 @@ class LinkPreviewManager {
       this.toggleQRPopup();
     });
 
+    // Show original - the link as written, tracking parameters included
+    this.previewElement.querySelector('.cleaned-toggle').addEventListener('click', (e) => {
+      const original = this.previewElement.querySelector('.cleaned-original-url');
+      const showing = original.style.display !== 'none';
+      original.style.display = showing ? 'none' : 'block';
+      e.currentTarget.textContent = showing ? 'Show original' : 'Hide original';
+    });
+
     // Expand URL button click
     this.previewElement.querySelector('.preview-expand-btn').addEventListener('click', (e) => {
       e.preventDefault();
@@ -209,8 +444,12 @@ class LinkPreviewManager {
       clearTimeout(this.hideTimeout);
     });
 
-    document.body.appendChild(this.previewElement);
-    return this.previewElement;
+    return this.mountOverlay(this.previewElement);
+  }
+
+  // Static markup from this file only - wrapped for Trusted Types when available
+  createTemplateHTML(html) {
+    return previewTemplatePolicy ? previewTemplatePolicy.createHTML(html) : html;
   }
 
   // ============================================
@@ -222,7 +461,47 @@ class LinkPreviewManager {
 
     this.qrPopup = document.createElement('div');
     this.qrPopup.className = 'instaclick-qr-popup';
-    this.qrPopup.innerHTML = `<img class="qr-popup-image" src="" alt="QR Code">`;
+
+    const code = document.createElement('div');
+    code.className = 'qr-popup-code';
+    code.setAttribute('role', 'img');
+    code.setAttribute('aria-label', 'QR Code');
+    this.qrPopup.appendChild(code);
+
+    const message = document.createElement('p');
+    message.className = 'qr-popup-message';
+    this.qrPopup.appendChild(message);
+
+    const options = document.createElement('div');
+    options.className = 'qr-popup-options';
+    options.appendChild(this.createQRSelect('qr-popup-size', 'Image size', QR_SIZES.map(size => [size, `${size} px`]), 'size'));
+    options.appendChild(this.createQRSelect('qr-popup-level', 'Error correction', QR_LEVELS, 'errorCorrection'));
+    this.qrPopup.appendChild(options);
+
+    const actions = document.createElement('div');
+    actions.className = 'qr-popup-actions';
+    for (const [action, label, title] of [
+      ['png', 'PNG', 'Download as PNG'],
+      ['svg', 'SVG', 'Download as SVG'],
+      ['copy', 'Copy', 'Copy image to clipboard']
+    ]) {
+      const button = document.createElement('button');
+      button.className = 'qr-popup-btn';
+      button.dataset.action = action;
+      button.textContent = label;
+      button.title = title;
+      actions.appendChild(button);
+    }
+    actions.addEventListener('click', (e) => {
+      const button = e.target.closest('.qr-popup-btn');
+      if (!button) return;
+      if (button.dataset.action === 'copy') {
+        this.copyQRCode(button);
+      } else {
+        this.downloadQRCode(button.dataset.action);
+      }
+    });
+    this.qrPopup.appendChild(actions);
 
     this.qrPopup.addEventListener('click', (e) => e.stopPropagation());
 
@@ -232,16 +511,56 @@ class LinkPreviewManager {
       if (relatedTarget && relatedTarget.closest && relatedTarget.closest('.instaclick-preview-card')) {
         return;
       }
+      // A select's open dropdown is outside the popup as far as mouse events go
+      if (!relatedTarget && this.overlayRoot.activeElement?.tagName === 'SELECT') {
+        return;
+      }
       this.hide();
     });
 
-    document.body.appendChild(this.qrPopup);
-    return this.qrPopup;
+    return this.mountOverlay(this.qrPopup);
+  }
+
+  createQRSelect(className, title, choices, option) {
+    const select = document.createElement('select');
+    select.className = className;
+    select.title = title;
+    for (const [value, label] of choices) {
+      select.appendChild(new Option(label, value));
+    }
+    select.addEventListener('change', () => {
+      this.qrOptions[option] = option === 'size' ? Number(select.value) : select.value;
+      this.saveQROptions();
+      if (option === 'errorCorrection') this.renderQRCode();
+    });
+    return select;
+  }
+
+  /**
+   * Expand short links (bit.ly, t.co...) as soon as their card opens
+   */
+  setExpandShortUrls(enabled) {
+    this.expandShortUrls = !!enabled;
+  }
+
+  /**
+   * Set the remembered QR image size and error-correction level (settings)
+   */
+  setQROptions({ size, errorCorrection }) {
+    if (QR_SIZES.includes(size)) this.qrOptions.size = size;
+    if (QR_LEVELS.some(([level]) => level === errorCorrection)) this.qrOptions.errorCorrection = errorCorrection;
+  }
+
+  saveQROptions() {
+    if (!chrome.runtime?.id) return;
+    chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      settings: { qrSize: this.qrOptions.size, qrErrorCorrection: this.qrOptions.errorCorrection }
+    }).catch(() => {});
   }
 
   toggleQRPopup() {
     const qrPopup = this.createQRPopup();
-    const qrImage = qrPopup.querySelector('.qr-popup-image');
     const qrBtn = this.previewElement.querySelector('.preview-qr-btn');
     
     if (qrPopup.classList.contains('visible')) {
@@ -250,8 +569,9 @@ class LinkPreviewManager {
       return;
     }
 
-    const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=140x140&data=${encodeURIComponent(this.currentUrl)}`;
-    qrImage.src = qrUrl;
+    qrPopup.querySelector('.qr-popup-size').value = String(this.qrOptions.size);
+    qrPopup.querySelector('.qr-popup-level').value = this.qrOptions.errorCorrection;
+    this.renderQRCode();
     
     this.positionQRPopup();
     
@@ -259,10 +579,78 @@ class LinkPreviewManager {
     qrBtn.textContent = '✕ Close QR';
   }
 
+  /**
+   * Encode the current link locally (qrcode.js) and show it as SVG, which
+   * stays sharp whatever the zoom level
+   */
+  renderQRCode() {
+    const code = this.qrPopup.querySelector('.qr-popup-code');
+    code.replaceChildren();
+    this.qrCode = null;
+
+    try {
+      this.qrCode = window.InstaClickQR.encode(this.currentUrl, this.qrOptions.errorCorrection);
+    } catch (e) {
+      this.qrPopup.querySelector('.qr-popup-message').textContent = 'This link is too long for a QR code';
+      this.qrPopup.classList.add('error');
+      return;
+    }
+    this.qrPopup.classList.remove('error');
+
+    const extent = this.qrCode.size + window.InstaClickQR.QUIET_ZONE * 2;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', window.InstaClickQR.toSvgPath(this.qrCode));
+    svg.appendChild(path);
+    code.appendChild(svg);
+  }
+
+  getQRPngBlob() {
+    const canvas = window.InstaClickQR.drawToCanvas(this.qrCode, document.createElement('canvas'), this.qrOptions.size);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render PNG'))), 'image/png');
+    });
+  }
+
+  async downloadQRCode(format) {
+    if (!this.qrCode) return;
+
+    const blob = format === 'svg'
+      ? new Blob([window.InstaClickQR.toSvgString(this.qrCode, this.qrOptions.size)], { type: 'image/svg+xml' })
+      : await this.getQRPngBlob();
+    let host = 'link';
+    try {
+      host = new URL(this.currentUrl).hostname.replace(/^www\./, '') || host;
+    } catch (e) {}
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `instaclick-qr-${host}.${format}`;
+    link.click();
+    // The download reads the blob after click() returns - revoking now could cancel it
+    setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME_MS);
+  }
+
+  async copyQRCode(button) {
+    if (!this.qrCode) return;
+
+    try {
+      // Pass the promise so the clipboard write still counts as part of the click
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': this.getQRPngBlob() })]);
+      button.textContent = 'Copied';
+    } catch (e) {
+      button.textContent = 'Failed';
+    }
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+  }
+
   positionQRPopup() {
     const qrPopup = this.qrPopup;
     const cardRect = this.previewElement.getBoundingClientRect();
-    const qrSize = 160;
+    const qrWidth = qrPopup.offsetWidth;
+    const qrHeight = qrPopup.offsetHeight;
     const gap = 10;
     
     const viewportWidth = window.innerWidth;
@@ -271,29 +659,29 @@ class LinkPreviewManager {
     let left, top;
     
     // Try right side first
-    if (cardRect.right + gap + qrSize < viewportWidth) {
+    if (cardRect.right + gap + qrWidth < viewportWidth) {
       left = cardRect.right + gap;
-      top = cardRect.top + (cardRect.height / 2) - (qrSize / 2);
+      top = cardRect.top + (cardRect.height / 2) - (qrHeight / 2);
     }
     // Try left side
-    else if (cardRect.left - gap - qrSize > 0) {
-      left = cardRect.left - gap - qrSize;
-      top = cardRect.top + (cardRect.height / 2) - (qrSize / 2);
+    else if (cardRect.left - gap - qrWidth > 0) {
+      left = cardRect.left - gap - qrWidth;
+      top = cardRect.top + (cardRect.height / 2) - (qrHeight / 2);
     }
     // Fall back to bottom
     else {
-      left = cardRect.left + (cardRect.width / 2) - (qrSize / 2);
+      left = cardRect.left + (cardRect.width / 2) - (qrWidth / 2);
       top = cardRect.bottom + gap;
     }
     
     // Keep within viewport
-    if (top + qrSize > viewportHeight - 10) {
-      top = viewportHeight - qrSize - 10;
+    if (top + qrHeight > viewportHeight - 10) {
+      top = viewportHeight - qrHeight - 10;
     }
     if (top < 10) top = 10;
     if (left < 10) left = 10;
-    if (left + qrSize > viewportWidth - 10) {
-      left = viewportWidth - qrSize - 10;
+    if (left + qrWidth > viewportWidth - 10) {
+      left = viewportWidth - qrWidth - 10;
     }
     
     qrPopup.style.left = `${left}px`;
@@ -310,42 +698,195 @@ class LinkPreviewManager {
     }
   }
 
+  // ============================================
+  // LINK WARNING (blocklisted destinations)
+  // ============================================
+
+  /**
+   * Interstitial shown instead of opening a link a blocklist flagged. "Go
+   * back" has focus, so Enter or Escape never opens the link by accident.
+   */
+  showLinkWarning({ url, listName, domain, onProceed }) {
+    this.hide();
+    this.hideLinkWarning();
+
+    const returnFocus = document.activeElement;
+    const warning = document.createElement('div');
+    warning.className = 'instaclick-link-warning';
+    warning.innerHTML = this.createTemplateHTML(`
+      <div class="link-warning-dialog" role="alertdialog" aria-modal="true"
+           aria-labelledby="link-warning-title" aria-describedby="link-warning-desc">
+        <div class="link-warning-icon" aria-hidden="true">⛔</div>
+        <div class="link-warning-title" id="link-warning-title">Dangerous link</div>
+        <div class="link-warning-desc" id="link-warning-desc">
+          <strong class="link-warning-domain"></strong> is on your blocklist
+          <strong class="link-warning-list"></strong>. It may try to steal your
+          password or install malware.
+        </div>
+        <div class="link-warning-url"></div>
+        <div class="link-warning-actions">
+          <button class="link-warning-back">Go back</button>
+          <button class="link-warning-proceed">Proceed anyway</button>
+        </div>
+      </div>
+    `);
+    warning.querySelector('.link-warning-domain').textContent = domain;
+    warning.querySelector('.link-warning-list').textContent = `"${listName}"`;
+    warning.querySelector('.link-warning-url').textContent = url;
+
+    const back = warning.querySelector('.link-warning-back');
+    const proceed = warning.querySelector('.link-warning-proceed');
+    const goBack = () => {
+      this.hideLinkWarning();
+      returnFocus?.focus?.();
+    };
+
+    back.addEventListener('click', goBack);
+    proceed.addEventListener('click', () => {
+      this.hideLinkWarning();
+      onProceed();
+    });
+    warning.addEventListener('click', (e) => {
+      if (e.target === warning) goBack();
+    });
+    warning.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        goBack();
+      } else if (e.key === 'Tab') {
+        // Keep focus on the two buttons while the dialog is open
+        e.preventDefault();
+        (this.overlayRoot.activeElement === back ? proceed : back).focus();
+      }
+      e.stopPropagation();
+    });
+
+    this.linkWarning = this.mountOverlay(warning);
+    this.applyTheme();
+    if (this.overlayHost.hidden) {
+      // First overlay on this page - it can take focus once the stylesheet shows it
+      this.overlayRoot.querySelector('link').addEventListener('load', () => back.focus(), { once: true });
+    } else {
+      back.focus();
+    }
+  }
+
+  hideLinkWarning() {
+    this.linkWarning?.remove();
+    this.linkWarning = null;
+  }
+
   // ============================================
   // URL EXPANDER
   // ============================================
 
-  async expandCurrentUrl() {
+  /**
+   * Follow the link's redirects (in the background worker) and show where it
+   * ends up with every hop on the way. `auto` expansion only touches links on
+   * a known shortener.
+   */
+  async expandCurrentUrl({ auto = false } = {}) {
+    const url = this.currentUrl;
     const expandBtn = this.previewElement.querySelector('.preview-expand-btn');
     const expandedDiv = this.previewElement.querySelector('.preview-expanded-url');
     const expandedText = this.previewElement.querySelector('.expanded-url-text');
+    const chainList = this.previewElement.querySelector('.redirect-chain');
 
-    if (!this.currentUrl || !chrome.runtime?.id) return;
+    if (!url || !chrome.runtime?.id) return;
 
     expandBtn.textContent = '⏳ Expanding...';
     expandBtn.disabled = true;
 
+    let result;
     try {
-      const result = await chrome.runtime.sendMessage({ type: 'EXPAND_URL', url: this.currentUrl });
-
-      if (result.success && result.expandedUrl !== this.currentUrl) {
-        expandedText.textContent = result.expandedUrl.length > 55
-          ? result.expandedUrl.slice(0, 55) + '...'
-          : result.expandedUrl;
-        expandedText.title = result.expandedUrl;
-        expandedDiv.style.display = 'block';
-        expandBtn.textContent = '✓ Expanded';
-      } else {
-        expandedText.textContent = result.error || 'This is not a shortened URL';
-        expandedDiv.style.display = 'block';
-        expandBtn.textContent = '🔓 Expand URL';
-      }
+      result = await chrome.runtime.sendMessage({ type: 'EXPAND_URL', url, onlyShort: auto });
     } catch (e) {
-      expandedText.textContent = 'Could not expand URL';
-      expandedDiv.style.display = 'block';
-      expandBtn.textContent = '🔓 Expand URL';
+      result = { success: false, error: 'Could not expand URL' };
     }
+    if (this.currentUrl !== url) return;
 
     expandBtn.disabled = false;
+    if (auto && result?.success && !result.shortened) {
+      expandBtn.textContent = '🔓 Expand URL';
+      return;
+    }
+
+    const chain = result?.chain || [];
+    this.renderRedirectChain(chainList, chain);
+
+    if (result?.success && result.expandedUrl !== url) {
+      expandedText.textContent = result.expandedUrl.length > 55
+        ? result.expandedUrl.slice(0, 55) + '...'
+        : result.expandedUrl;
+      expandedText.title = result.expandedUrl;
+      expandBtn.textContent = '✓ Expanded';
+    } else {
+      expandedText.textContent = result?.success
+        ? "This link doesn't redirect"
+        : result?.error || 'Could not expand URL';
+      expandedText.title = '';
+      expandBtn.textContent = '🔓 Expand URL';
+    }
+    expandedDiv.style.display = 'block';
+  }
+
+  // One row per hop: status code (or how the page redirected) and the URL
+  renderRedirectChain(list, chain) {
+    list.replaceChildren();
+    if (chain.length < 2) return;
+
+    const viaLabels = { refresh: 'refresh', script: 'script' };
+    for (const step of chain) {
+      const item = document.createElement('li');
+      item.className = 'redirect-hop';
+
+      const status = document.createElement('span');
+      status.className = 'redirect-hop-status';
+      status.textContent = viaLabels[step.via] || step.status || '3xx';
+      if (step.status >= 400) status.classList.add('error');
+
+      const hopUrl = document.createElement('span');
+      hopUrl.className = 'redirect-hop-url';
+      hopUrl.textContent = step.url.replace(/^https?:\/\//, '');
+      hopUrl.title = step.url;
+
+      item.append(status, hopUrl);
+      list.appendChild(item);
+    }
+  }
+
+  // ============================================
+  // NETWORK EGRESS
+  // ============================================
+
+  /**
+   * Ask the background worker whether a request may be made under the privacy
+   * mode (it is logged either way). `linkUrl` is the link the card is for.
+   */
+  async allowEgress(url, purpose, linkUrl = this.currentUrl) {
+    if (!chrome.runtime?.id) return false;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'CHECK_EGRESS', url, purpose, linkUrl });
+      return !!result?.allowed;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Images in the card are requests too - set the source only once the gate
+   * allows it and the card still shows the same link
+   */
+  async loadGatedImage(img, src, purpose) {
+    const linkUrl = this.currentUrl;
+    img.removeAttribute('src');
+
+    const allowed = await this.allowEgress(src, purpose, linkUrl);
+    if (!allowed || this.currentUrl !== linkUrl) return false;
+
+    img.src = src;
+    return true;
   }
 
   trackClick() {
@@ -360,12 +901,17 @@ class LinkPreviewManager {
   // SHOW / HIDE
   // ============================================
 
-  async show(linkElement, url) {
+  /**
+   * Show the card for a link. With `localOnly` nothing is fetched and the
+   * card is built from the URL alone (used for links in direct messages).
+   */
+  async show(linkElement, url, { localOnly = false } = {}) {
     if (!url) return;
 
     this.currentUrl = url;
     this.currentLink = linkElement;
     const preview = this.createPreviewElement();
+    this.applyTheme();
 
     // Update the link href
     if (this.linkArea) {
@@ -387,8 +933,24 @@ class LinkPreviewManager {
       expandBtn.textContent = '🔓 Expand URL';
       expandBtn.disabled = false;
     }
+    this.showRecoveredUrl(linkElement, url);
+    this.showCleanedUrl(linkElement, url);
+    this.showLookalikeWarning(url);
+
+    if (this.expandShortUrls && !localOnly && /^https?:/i.test(url)) {
+      this.expandCurrentUrl({ auto: true });
+    }
 
-    const cached = this.getFromCache(url);
+    if (localOnly) {
+      const data = await this.buildLocalPreview(url);
+      if (this.currentUrl !== url) return;
+      this.renderPreview(data);
+      preview.classList.add('visible');
+      return;
+    }
+
+    const cached = await this.getFromCache(url);
+    if (this.currentUrl !== url) return;
     if (cached) {
       this.renderPreview(cached);
       preview.classList.add('visible');
@@ -401,14 +963,14 @@ class LinkPreviewManager {
     try {
       this.fetchController = new AbortController();
       const data = await this.fetchPreviewData(url);
+      this.setCache(url, data);
       
       if (this.currentUrl !== url) return;
       
-      this.setCache(url, data);
       this.renderPreview(data);
       
-      if (data.is404) {
-        this.markDeadLink(url);
+      if (this.isDeadLink(data)) {
+        this.markDeadLink(url, data.health.state);
       }
     } catch (error) {
       if (error.name !== 'AbortError') {
@@ -421,12 +983,57 @@ class LinkPreviewManager {
           title: domain,
           description: url,
           image: null,
-          is404: false,
         });
       }
     }
   }
 
+  // Links rebuilt from "mysite dot com" text show where they really go
+  showRecoveredUrl(linkElement, url) {
+    const recoveredDiv = this.previewElement.querySelector('.preview-recovered-url');
+    const isRecovered = linkElement?.getAttribute('data-instaclick-kind') === 'recovered';
+
+    recoveredDiv.style.display = isRecovered ? 'block' : 'none';
+    if (isRecovered) {
+      this.previewElement.querySelector('.recovered-url-text').textContent = url;
+    }
+  }
+
+  // Links opened without tracking parameters list what was removed
+  showCleanedUrl(linkElement, url) {
+    const cleanedDiv = this.previewElement.querySelector('.preview-cleaned-url');
+    const original = linkElement?.getAttribute('data-instaclick-original-url');
+
+    cleanedDiv.style.display = original ? 'block' : 'none';
+    if (!original) return;
+
+    let removed;
+    try {
+      const kept = new URL(url).searchParams;
+      removed = [...new Set(new URL(original).searchParams.keys())].filter(name => !kept.has(name));
+    } catch {
+      removed = [];
+    }
+    cleanedDiv.querySelector('.cleaned-label').textContent = removed.length > 0
+      ? `🧹 Tracking removed: ${removed.join(', ')}`
+      : '🧹 Tracking removed from the link';
+    cleanedDiv.querySelector('.cleaned-original-url').textContent = original;
+    cleanedDiv.querySelector('.cleaned-original-url').style.display = 'none';
+    cleanedDiv.querySelector('.cleaned-toggle').textContent = 'Show original';
+  }
+
+  // Impersonation domains say what they imitate, with the real (punycode) address
+  showLookalikeWarning(url) {
+    const lookalikeDiv = this.previewElement.querySelector('.preview-lookalike');
+    const warning = this.lookalikeCheck && this.lookalikeCheck(url);
+
+    lookalikeDiv.style.display = warning ? 'block' : 'none';
+    if (warning) {
+      lookalikeDiv.dataset.type = warning.type;
+      this.previewElement.querySelector('.lookalike-text').textContent = window.InstaClickLookalike.describe(warning);
+    }
+  }
+
   hide() {
     clearTimeout(this.hideTimeout);
     clearTimeout(this.hoverTimeout);
@@ -483,14 +1090,20 @@ class LinkPreviewManager {
 
   renderPreview(data) {
     const preview = this.previewElement;
+    this.renderBioLinks(data);
     
-    if (data.is404) {
+    if (this.isDeadLink(data)) {
+      const { state, status } = data.health;
+      const failure = LINK_HEALTH_FAILURES[state];
       preview.querySelector('.preview-loading').style.display = 'none';
       preview.querySelector('.preview-content').style.display = 'none';
       preview.querySelector('.preview-error').style.display = 'flex';
-      preview.querySelector('.preview-error-title').textContent = 'Page Not Found (404)';
-      preview.querySelector('.preview-error-desc').textContent = 'This page no longer exists or has been moved';
-      preview.querySelector('.preview-error-url').textContent = data.domain || '';
+      preview.querySelector('.preview-error').dataset.state = state;
+      preview.querySelector('.preview-error-icon').textContent = failure.icon;
+      preview.querySelector('.preview-error-title').textContent =
+        (state === 'notFound' || state === 'serverError') && status ? `${failure.title} (${status})` : failure.title;
+      preview.querySelector('.preview-error-desc').textContent = failure.description;
+      preview.querySelector('.preview-error-url').textContent = this.displayDomain(data.domain);
       return;
     }
     
@@ -502,13 +1115,14 @@ class LinkPreviewManager {
     const image = preview.querySelector('.preview-image');
     const playButton = preview.querySelector('.preview-play-button');
     
+    // Shown once the privacy mode allows loading it; the card works without it
+    imageContainer.style.display = 'none';
     if (data.image) {
-      image.src = data.image;
       image.alt = data.title || '';
-      imageContainer.style.display = 'block';
       playButton.style.display = (data.type === 'youtube' || data.type === 'video') ? 'flex' : 'none';
-    } else {
-      imageContainer.style.display = 'none';
+      this.loadGatedImage(image, data.image, 'Preview image').then(allowed => {
+        if (allowed) imageContainer.style.display = 'block';
+      });
     }
 
     const siteBadge = preview.querySelector('.preview-site-badge');
@@ -523,14 +1137,89 @@ class LinkPreviewManager {
     preview.querySelector('.preview-title').textContent = data.title || data.domain || 'Unknown';
 
     const favicon = preview.querySelector('.preview-favicon');
+    favicon.style.display = 'none';
     if (data.favicon) {
-      favicon.src = data.favicon;
-      favicon.style.display = 'block';
-    } else {
-      favicon.style.display = 'none';
+      this.loadGatedImage(favicon, data.favicon, 'Favicon').then(allowed => {
+        if (allowed) favicon.style.display = 'block';
+      });
     }
     
-    preview.querySelector('.preview-domain').textContent = data.domain || '';
+    preview.querySelector('.preview-domain').textContent = this.displayDomain(data.domain);
+  }
+
+  // Link-in-bio pages list their outbound links, each with its own live/dead dot
+  renderBioLinks(data) {
+    const container = this.previewElement.querySelector('.preview-bio-links');
+    const list = container.querySelector('.bio-links-list');
+    list.replaceChildren();
+
+    if (!data.bioLinks?.length) {
+      container.style.display = 'none';
+      return;
+    }
+
+    for (const entry of data.bioLinks) {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'bio-link';
+      link.href = entry.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.setAttribute('data-instaclick-kind', 'url');
+      const lookalike = this.lookalikeCheck && this.lookalikeCheck(entry.url);
+      if (lookalike) {
+        link.classList.add('bio-link-lookalike');
+        link.title = `Lookalike domain - ${window.InstaClickLookalike.describe(lookalike)}`;
+      }
+
+      const status = document.createElement('span');
+      status.className = 'bio-link-status';
+      status.dataset.status = entry.status || 'checking';
+
+      const title = document.createElement('span');
+      title.className = 'bio-link-title';
+      title.textContent = entry.title || entry.url;
+
+      const host = document.createElement('span');
+      host.className = 'bio-link-host';
+      host.textContent = this.displayDomain(new URL(entry.url).hostname.replace('www.', ''));
+
+      link.append(status, title, host);
+      item.appendChild(link);
+      list.appendChild(item);
+    }
+
+    container.style.display = 'block';
+    this.checkBioLinkStatuses(data);
+  }
+
+  // Entries keep their status on the cached data, so each link is checked once
+  async checkBioLinkStatuses(data) {
+    if (!chrome.runtime?.id) return;
+
+    const dots = this.previewElement.querySelectorAll('.bio-link-status');
+    await Promise.all(data.bioLinks.map(async (entry, i) => {
+      if (!entry.status) {
+        try {
+          const result = await chrome.runtime.sendMessage({ type: 'CHECK_LINK_HEALTH', url: entry.url });
+          const state = result?.success ? result.health.state : 'unknown';
+          entry.status = state === 'ok' ? 'live' : LINK_HEALTH_FAILURES[state] ? 'dead' : 'unknown';
+          entry.failure = LINK_HEALTH_FAILURES[state]?.title;
+        } catch (e) {
+          entry.status = 'unknown';
+        }
+      }
+      if (this.currentUrl === data.url && dots[i]) {
+        dots[i].dataset.status = entry.status;
+        dots[i].title = entry.status === 'dead' ? entry.failure || 'Unreachable' : entry.status === 'live' ? 'Reachable' : '';
+      }
+    }));
+  }
+
+  // Punycode hostnames are shown in Unicode unless that form could spoof another domain
+  displayDomain(domain) {
+    if (!domain) return '';
+    return window.InstaClickDomains ? window.InstaClickDomains.toDisplayHostname(domain) : domain;
   }
 
   // ============================================
@@ -540,11 +1229,25 @@ class LinkPreviewManager {
   async fetchPreviewData(url) {
     try {
       const parsedUrl = new URL(url);
-      const domain = parsedUrl.hostname.replace('www.', '');
+
+      if (parsedUrl.protocol === 'mailto:' || parsedUrl.protocol === 'tel:') {
+        return this.fetchContactPreview(url, parsedUrl);
+      }
+
+      if (this.appSchemes.has(parsedUrl.protocol)) {
+        return this.fetchAppLinkPreview(url, parsedUrl);
+      }
+
+      const domain = parsedUrl.hostname.replace(/^www\./, '');
+
+      const bioLinkHandler = this.getBioLinkHandler(domain);
+      if (bioLinkHandler) {
+        return await bioLinkHandler(url, domain);
+      }
       
       const siteHandler = this.getSiteHandler(domain);
       if (siteHandler) {
-        return await siteHandler(url, parsedUrl);
+        return await this.withLinkHealth(url, await siteHandler(url, parsedUrl));
       }
       
       return await this.fetchGenericPreview(url, domain);
@@ -554,6 +1257,19 @@ class LinkPreviewManager {
     }
   }
 
+  // Site handlers build their card from the URL alone - the background worker
+  // still checks whether the link works
+  async withLinkHealth(url, data) {
+    if (!chrome.runtime?.id) return data;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'CHECK_LINK_HEALTH', url });
+      return result?.success ? { ...data, health: result.health } : data;
+    } catch (e) {
+      return data;
+    }
+  }
+
   getSiteHandler(domain) {
     const handlers = {
       'youtube.com': this.fetchYouTubePreview.bind(this),
@@ -567,76 +1283,141 @@ class LinkPreviewManager {
       'linkedin.com': this.fetchLinkedInPreview.bind(this),
     };
 
-    for (const [site, handler] of Object.entries(handlers)) {
-      if (domain.includes(site)) return handler;
-    }
-    return null;
+    // Exact host or a subdomain - fox.com is not x.com
+    const site = Object.keys(handlers).find(host => window.InstaClickSites.matchesHost(domain, host));
+    return site ? handlers[site] : null;
+  }
+
+  // Link-in-bio aggregators - the card lists the links the page hides.
+  // Matched on the exact host or a subdomain, so lookalike hosts fall through.
+  getBioLinkHandler(domain) {
+    const aggregators = [
+      'linktr.ee', 'beacons.ai', 'lnk.bio', 'campsite.bio', 'linkin.bio',
+      'bio.link', 'solo.to', 'tap.bio', 'hoo.be', 'snipfeed.co', 'allmylinks.com'
+    ];
+
+    const isAggregator = aggregators.some(host => window.InstaClickSites.matchesHost(domain, host));
+    return isAggregator ? this.fetchBioLinkPreview.bind(this) : null;
   }
 
   async fetchGenericPreview(url, domain) {
-    if (domain.includes('instagram.com')) {
+    const internalSite = this.getInternalSite(domain);
+    if (internalSite) {
+      const [host] = internalSite.hosts;
       return {
-        type: 'instagram',
+        type: internalSite.id,
         url: url,
-        domain: 'instagram.com',
-        favicon: 'https://www.instagram.com/favicon.ico',
-        siteBadge: 'Instagram',
-        title: 'Instagram Content',
-        description: 'View on Instagram',
+        domain: host,
+        favicon: `https://www.${host}/favicon.ico`,
+        siteBadge: internalSite.name,
+        title: `${internalSite.name} Content`,
+        description: `View on ${internalSite.name}`,
         image: null,
-        is404: false,
       };
     }
 
+    const fallback = {
+      type: 'website', url, domain,
+      favicon: `https://www.google.com/s2/favicons?domain=${domain}&sz=32`,
+      title: domain, description: url,
+      image: null, failed: true,
+    };
+
+    // The background worker fetches the page and reads its OpenGraph/Twitter/oEmbed tags
+    if (!chrome.runtime?.id) return fallback;
+
     try {
-      const apiUrl = `https://api.microlink.io?url=${encodeURIComponent(url)}`;
-      const response = await fetch(apiUrl);
-      const result = await response.json();
-      
-      if (result.status === 'fail') {
-        const errorMsg = result.message || '';
-        const is404 = errorMsg.includes('404') || errorMsg.includes('not found') || errorMsg.includes('ENOTFOUND');
-        
-        if (is404) {
-          return {
-            type: 'website', url, domain,
-            favicon: `https://www.google.com/s2/favicons?domain=${domain}&sz=32`,
-            title: 'Page Not Found',
-            description: 'This page no longer exists',
-            image: null, is404: true,
-          };
-        }
-        
-        return {
-          type: 'website', url, domain,
-          favicon: `https://www.google.com/s2/favicons?domain=${domain}&sz=32`,
-          title: domain, description: url,
-          image: `https://image.thum.io/get/width/400/crop/300/${encodeURIComponent(url)}`,
-          is404: false,
-        };
+      const result = await chrome.runtime.sendMessage({ type: 'FETCH_LINK_PREVIEW', url });
+
+      if (!result?.success) {
+        if (result?.blocked) return { ...fallback, blocked: true };
+        return { ...fallback, health: result?.health };
       }
-      
-      const data = result.data || {};
-      return {
-        type: 'website', url, domain,
-        favicon: data.logo?.url || `https://www.google.com/s2/favicons?domain=${domain}&sz=32`,
-        title: data.title || domain,
-        description: data.description || '',
-        image: data.image?.url || `https://image.thum.io/get/width/400/crop/300/${encodeURIComponent(url)}`,
-        is404: false,
-      };
-      
+
+      return result.data;
     } catch (e) {
-      return {
-        type: 'website', url, domain,
-        favicon: `https://www.google.com/s2/favicons?domain=${domain}&sz=32`,
-        title: domain, description: url,
-        image: `https://image.thum.io/get/width/400/crop/300/${encodeURIComponent(url)}`,
-        is404: false,
-      };
+      return fallback;
     }
   }
 
+  // The background worker fetches and parses the aggregator page
+  async fetchBioLinkPreview(url, domain) {
+    const fallback = {
+      type: 'bio', url, domain,
+      favicon: `https://www.google.com/s2/favicons?domain=${domain}&sz=32`,
+      siteBadge: 'Link in bio',
+      title: domain, description: url,
+      image: null,
+    };
+
+    if (!chrome.runtime?.id) return fallback;
+
+    const result = await chrome.runtime.sendMessage({ type: 'FETCH_BIO_LINKS', url });
+    if (!result?.success) {
+      return { ...fallback, health: result?.health, failed: true, blocked: !!result?.blocked };
+    }
+
+    const count = result.links.length;
+    return {
+      ...fallback,
+      title: result.title || `${count} ${count === 1 ? 'link' : 'links'} on ${domain}`,
+      description: `${count} ${count === 1 ? 'link' : 'links'}`,
+      bioLinks: result.links,
+    };
+  }
+
+  // Preview from the URL alone - no network requests, no third-party images
+  async buildLocalPreview(url) {
+    const parsedUrl = new URL(url);
+
+    if (parsedUrl.protocol === 'mailto:' || parsedUrl.protocol === 'tel:') {
+      return this.fetchContactPreview(url, parsedUrl);
+    }
+    if (this.appSchemes.has(parsedUrl.protocol)) {
+      return this.fetchAppLinkPreview(url, parsedUrl);
+    }
+
+    const domain = parsedUrl.hostname.replace('www.', '');
+    return {
+      type: 'private', url, domain,
+      favicon: null,
+      siteBadge: 'Private',
+      title: domain,
+      description: url,
+      image: null,
+    };
+  }
+
+  // Email and phone links - rendered locally, nothing to fetch
+  async fetchContactPreview(url, parsedUrl) {
+    const isEmail = parsedUrl.protocol === 'mailto:';
+    const target = decodeURIComponent(parsedUrl.pathname);
+
+    return {
+      type: isEmail ? 'email' : 'phone', url,
+      domain: isEmail ? target.split('@')[1] : 'Phone number',
+      favicon: null,
+      siteBadge: isEmail ? 'Email' : 'Phone',
+      title: target,
+      description: isEmail ? 'Send an email' : 'Call this number',
+      image: null,
+    };
+  }
+
+  async fetchAppLinkPreview(url, parsedUrl) {
+    const { label, type, describe } = this.appSchemes.get(parsedUrl.protocol);
+    const { title, description } = describe(parsedUrl);
+
+    return {
+      type, url,
+      domain: `${label} app`,
+      favicon: null,
+      siteBadge: label,
+      title, description,
+      image: null,
+    };
+  }
+
   // Site-specific handlers
   async fetchYouTubePreview(url, parsedUrl) {
     let videoId = parsedUrl.searchParams.get('v');
@@ -652,7 +1433,6 @@ class LinkPreviewManager {
       title: 'YouTube Video',
       description: 'Watch on YouTube',
       image: videoId ? `https://img.youtube.com/vi/${videoId}/hqdefault.jpg` : null,
-      is404: false,
     };
   }
 
@@ -673,7 +1453,7 @@ class LinkPreviewManager {
       favicon: 'https://abs.twimg.com/favicons/twitter.ico',
       siteBadge: 'X',
       title, description: 'View on X (Twitter)',
-      image: null, is404: false,
+      image: null,
     };
   }
 
@@ -694,7 +1474,6 @@ class LinkPreviewManager {
       siteBadge: 'GitHub',
       title, description: 'View on GitHub',
       image: pathParts.length >= 1 ? `https://opengraph.githubassets.com/1/${pathParts.join('/')}` : null,
-      is404: false,
     };
   }
 
@@ -714,7 +1493,7 @@ class LinkPreviewManager {
       favicon: 'https://www.reddit.com/favicon.ico',
       siteBadge: 'Reddit',
       title, description: 'View on Reddit',
-      image: null, is404: false,
+      image: null,
     };
   }
 
@@ -733,7 +1512,7 @@ class LinkPreviewManager {
       favicon: 'https://open.spotify.com/favicon.ico',
       siteBadge: 'Spotify',
       title, description: 'Listen on Spotify',
-      image: null, is404: false,
+      image: null,
     };
   }
 
@@ -751,7 +1530,7 @@ class LinkPreviewManager {
       favicon: 'https://www.tiktok.com/favicon.ico',
       siteBadge: 'TikTok',
       title, description: 'Watch on TikTok',
-      image: null, is404: false,
+      image: null,
     };
   }
 
@@ -771,7 +1550,7 @@ class LinkPreviewManager {
       favicon: 'https://www.linkedin.com/favicon.ico',
       siteBadge: 'LinkedIn',
       title, description: 'View on LinkedIn',
-      image: null, is404: false,
+      image: null,
     };
   }
 }
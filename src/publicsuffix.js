@@ -0,0 +1,135 @@
+/**
+ * InstaClick v2.4.7 - Public Suffixes
+ * Registrable domains ("example.co.uk" for shop.example.co.uk) from a bundled
+ * subset of the Public Suffix List (https://publicsuffix.org/list/)
+ *
+ * The subset holds the second-level rules of the ICANN section for the
+ * country TLDs that use them, plus the hosting platforms whose customers each
+ * get their own subdomain. A TLD with no rule here is its own public suffix,
+ * so names registered directly under it (abc.de, bbc.co) stay one site.
+ */
+
+const InstaClickPublicSuffix = (() => {
+  // "*.ck" makes every name under ck a suffix, "!www.ck" takes one back out
+  const RULES = `
+    com.ar edu.ar gob.ar gov.ar int.ar mil.ar net.ar org.ar tur.ar
+    ac.at co.at gv.at or.at
+    asn.au com.au edu.au gov.au id.au net.au org.au
+    com.bo edu.bo gob.bo net.bo org.bo
+    art.br com.br edu.br gov.br net.br org.br
+    com.by net.by
+    ab.ca bc.ca gc.ca mb.ca nb.ca nf.ca nl.ca ns.ca nt.ca nu.ca on.ca pe.ca qc.ca sk.ca yk.ca
+    co.cl gob.cl gov.cl mil.cl
+    ac.cn com.cn edu.cn gov.cn mil.cn net.cn org.cn
+    com.co edu.co gov.co mil.co net.co nom.co org.co
+    ac.cr co.cr ed.cr fi.cr go.cr or.cr sa.cr
+    com.cy net.cy org.cy
+    com.do edu.do gob.do gov.do net.do org.do
+    com.dz edu.dz gov.dz net.dz org.dz
+    com.ec edu.ec fin.ec gob.ec gov.ec net.ec org.ec
+    com.eg edu.eg gov.eg net.eg org.eg
+    com.es edu.es gob.es nom.es org.es
+    com.et edu.et gov.et net.et org.et
+    ac.fj com.fj gov.fj net.fj org.fj
+    com.ge edu.ge gov.ge net.ge org.ge
+    com.gh edu.gh gov.gh org.gh
+    com.gr edu.gr gov.gr net.gr org.gr
+    com.gt edu.gt gob.gt net.gt org.gt
+    com.hk edu.hk gov.hk idv.hk net.hk org.hk
+    com.hn edu.hn gob.hn net.hn org.hn
+    com.hr from.hr iz.hr name.hr
+    co.hu info.hu org.hu priv.hu tm.hu
+    ac.id biz.id co.id go.id my.id net.id or.id sch.id web.id
+    ac.il co.il gov.il muni.il net.il org.il
+    ac.in co.in edu.in firm.in gen.in gov.in ind.in net.in nic.in org.in res.in
+    ac.ir co.ir gov.ir id.ir net.ir org.ir sch.ir
+    com.jo edu.jo gov.jo net.jo org.jo
+    ac.jp ad.jp co.jp ed.jp go.jp gr.jp lg.jp ne.jp or.jp
+    ac.ke co.ke go.ke ne.ke or.ke sc.ke
+    ac.kr co.kr go.kr ne.kr or.kr re.kr
+    com.kw edu.kw gov.kw net.kw org.kw
+    com.kz edu.kz gov.kz net.kz org.kz
+    com.lb edu.lb gov.lb net.lb org.lb
+    ac.lk com.lk edu.lk gov.lk net.lk org.lk
+    com.ly edu.ly gov.ly net.ly org.ly
+    ac.ma co.ma gov.ma net.ma org.ma press.ma
+    com.mt edu.mt gov.mt net.mt org.mt
+    com.mx edu.mx gob.mx net.mx org.mx
+    com.my edu.my gov.my name.my net.my org.my
+    com.na edu.na gov.na org.na
+    com.ng edu.ng gov.ng name.ng net.ng org.ng sch.ng
+    com.ni edu.ni gob.ni net.ni org.ni
+    ac.nz co.nz geek.nz gen.nz govt.nz iwi.nz kiwi.nz maori.nz net.nz org.nz school.nz
+    co.om com.om edu.om gov.om net.om org.om
+    com.pa edu.pa gob.pa net.pa org.pa
+    com.pe edu.pe gob.pe net.pe nom.pe org.pe
+    com.ph edu.ph gov.ph net.ph org.ph
+    com.pk edu.pk gov.pk net.pk org.pk
+    biz.pl com.pl edu.pl gov.pl info.pl net.pl org.pl
+    com.pr edu.pr gov.pr net.pr org.pr
+    com.pt edu.pt gov.pt org.pt
+    com.py edu.py gov.py net.py org.py
+    com.qa edu.qa gov.qa net.qa org.qa
+    com.ro info.ro nom.ro org.ro store.ro www.ro
+    co.rs edu.rs gov.rs in.rs org.rs
+    ac.ru edu.ru gov.ru int.ru mil.ru
+    com.sa edu.sa gov.sa net.sa org.sa
+    com.sg edu.sg gov.sg net.sg org.sg
+    com.sv edu.sv gob.sv org.sv
+    ac.th co.th go.th in.th or.th
+    com.tn gov.tn net.tn org.tn
+    av.tr bel.tr biz.tr com.tr edu.tr gen.tr gov.tr info.tr k12.tr net.tr org.tr web.tr
+    co.tt com.tt net.tt org.tt
+    com.tw edu.tw gov.tw idv.tw net.tw org.tw
+    ac.tz co.tz go.tz or.tz
+    com.ua edu.ua gov.ua in.ua kiev.ua net.ua org.ua
+    ac.ug co.ug go.ug or.ug
+    ac.uk co.uk gov.uk ltd.uk me.uk net.uk nhs.uk org.uk plc.uk police.uk sch.uk
+    com.uy edu.uy gub.uy net.uy org.uy
+    co.uz com.uz net.uz org.uz
+    co.ve com.ve edu.ve gob.ve net.ve org.ve
+    ac.vn com.vn edu.vn gov.vn net.vn org.vn
+    ac.za co.za edu.za gov.za net.za org.za web.za
+    ac.zm co.zm com.zm org.zm
+    ac.zw co.zw gov.zw org.zw
+    *.bd *.ck !www.ck *.er *.fk *.jm *.kh *.mm *.np *.pg
+    appspot.com azurewebsites.net blogspot.com cloudfront.net firebaseapp.com github.io gitlab.io
+    herokuapp.com netlify.app pages.dev vercel.app web.app workers.dev
+  `.trim().split(/\s+/);
+
+  const SUFFIXES = new Set(RULES.filter(rule => !rule.startsWith('!')));
+  const EXCEPTIONS = new Set(RULES.filter(rule => rule.startsWith('!')).map(rule => rule.slice(1)));
+
+  /**
+   * Number of trailing labels that make up the public suffix (at least the TLD)
+   */
+  function getPublicSuffixLength(labels) {
+    for (let length = labels.length; length > 1; length--) {
+      const name = labels.slice(-length).join('.');
+      if (EXCEPTIONS.has(name)) return length - 1;
+      if (SUFFIXES.has(name) || SUFFIXES.has(`*.${labels.slice(1 - length).join('.')}`)) return length;
+    }
+    return 1;
+  }
+
+  /**
+   * The registrable domain of an ASCII hostname: cdn.example.co.uk ->
+   * example.co.uk, cdn.abc.de -> abc.de. IP addresses and hostnames that are
+   * public suffixes themselves come back unchanged.
+   */
+  function getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (host.startsWith('[') || /^\d+(?:\.\d+){3}$/.test(host)) return host;
+
+    const labels = host.split('.');
+    const suffixLength = getPublicSuffixLength(labels);
+    return suffixLength >= labels.length ? host : labels.slice(-suffixLength - 1).join('.');
+  }
+
+  return {
+    getRegistrableDomain
+  };
+})();
+
+// Export for use in the background worker (importScripts)
+self.InstaClickPublicSuffix = InstaClickPublicSuffix;
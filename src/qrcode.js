@@ -0,0 +1,477 @@
+/**
+ * InstaClick v2.4.7 - QR Code Encoder
+ * Builds QR codes locally so the link never leaves the browser
+ *
+ * Byte mode only (URLs are UTF-8 encoded), versions 1-40, all four
+ * error-correction levels. The smallest version that fits is picked and the
+ * mask with the lowest penalty score is applied (ISO/IEC 18004). Rendering
+ * uses whole pixels per module so printed codes stay sharp at any size.
+ */
+
+const InstaClickQR = (() => {
+  // Recommended quiet zone around the symbol, in modules
+  const QUIET_ZONE = 4;
+
+  // Format-info bits for each error-correction level, and its index in the tables below
+  const ERROR_CORRECTION = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+  };
+
+  // Error-correction codewords per block, by level then version (index 0 unused)
+  const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ];
+
+  // Error-correction blocks, by level then version (index 0 unused)
+  const ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ];
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  /**
+   * Encode text as a QR code. Returns { version, size, modules } where
+   * modules[y][x] is true for a dark module; throws when the text doesn't fit.
+   */
+  function encode(text, errorCorrection = 'M') {
+    const level = ERROR_CORRECTION[errorCorrection];
+    if (!level) {
+      throw new Error(`Unknown error-correction level ${JSON.stringify(errorCorrection)}`);
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    while (version <= 40 && getDataBits(bytes, version) > getDataCodewords(version, level) * 8) {
+      version++;
+    }
+    if (version > 40) {
+      throw new Error('Too much data for a QR code');
+    }
+
+    const data = encodeData(bytes, version, level);
+    const codewords = addErrorCorrection(data, version, level);
+    const symbol = createSymbol(version);
+    drawCodewords(symbol, codewords);
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      const modules = applyMask(symbol, mask);
+      drawFormatBits(modules, symbol.isFunction, level, mask);
+      const penalty = getPenaltyScore(modules);
+      if (!best || penalty < best.penalty) {
+        best = { modules, penalty };
+      }
+    }
+
+    return { version, size: symbol.size, modules: best.modules };
+  }
+
+  // ============================================
+  // DATA CODEWORDS
+  // ============================================
+
+  // Mode indicator + character count + payload, in bits
+  function getDataBits(bytes, version) {
+    return 4 + getCountBits(version) + bytes.length * 8;
+  }
+
+  function getCountBits(version) {
+    return version < 10 ? 8 : 16;
+  }
+
+  // Modules left for data and error correction once the function patterns are placed
+  function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignments = Math.floor(version / 7) + 2;
+      result -= (25 * alignments - 10) * alignments - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function getDataCodewords(version, level) {
+    return Math.floor(getRawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[level.index][version] * ERROR_CORRECTION_BLOCKS[level.index][version];
+  }
+
+  function encodeData(bytes, version, level) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0x4, 4); // byte mode
+    append(bytes.length, getCountBits(version));
+    bytes.forEach(byte => append(byte, 8));
+
+    // Terminator, then pad to a whole byte
+    const capacity = getDataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    // Alternating pad codewords fill the rest
+    for (let pad = 0xEC; data.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+      data.push(pad);
+    }
+    return data;
+  }
+
+  // ============================================
+  // ERROR CORRECTION (Reed-Solomon over GF(256))
+  // ============================================
+
+  /**
+   * Split the data into blocks, append each block's error-correction
+   * codewords, and interleave the blocks
+   */
+  function addErrorCorrection(data, version, level) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[level.index][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      const ecc = getReedSolomonRemainder(block, divisor);
+      // Short blocks get a placeholder so all blocks line up when interleaving
+      if (i < shortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  function getReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = multiplyGF(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = multiplyGF(root, 0x02);
+    }
+    return result;
+  }
+
+  function getReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= multiplyGF(coefficient, factor);
+      });
+    }
+    return result;
+  }
+
+  function multiplyGF(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  // ============================================
+  // SYMBOL LAYOUT
+  // ============================================
+
+  /**
+   * An empty symbol with the finder, timing, alignment and version patterns
+   * drawn, and the format areas reserved
+   */
+  function createSymbol(version) {
+    const size = version * 4 + 17;
+    const symbol = {
+      version,
+      size,
+      modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+      isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+    const set = (x, y, dark) => {
+      symbol.modules[y][x] = dark;
+      symbol.isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const distance = Math.max(Math.abs(dx), Math.abs(dy));
+            set(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    }
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas (filled in per mask) and the dark module
+    drawFormatBits(symbol.modules, symbol.isFunction, ERROR_CORRECTION.L, 0);
+
+    // Version information (version 7 and up)
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      }
+      const bits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+
+    return symbol;
+  }
+
+  function getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+      result.splice(1, 0, position);
+    }
+    return result;
+  }
+
+  function drawFormatBits(modules, isFunction, level, mask) {
+    const data = (level.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const size = modules.length;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  // Codewords fill the symbol in two-module columns, zigzagging up and down from the bottom right
+  function drawCodewords(symbol, codewords) {
+    const { size, modules, isFunction } = symbol;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(symbol, mask) {
+    const test = MASKS[mask];
+    return symbol.modules.map((row, y) =>
+      row.map((dark, x) => (!symbol.isFunction[y][x] && test(x, y)) ? !dark : dark)
+    );
+  }
+
+  // ============================================
+  // MASK PENALTY
+  // ============================================
+
+  function getPenaltyScore(modules) {
+    const size = modules.length;
+    const columns = modules.map((row, x) => modules.map(r => r[x]));
+    let penalty = 0;
+
+    for (const line of [...modules, ...columns]) {
+      // Runs of five or more modules of the same colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+
+      // Finder-like 1:1:3:1:1 patterns with four light modules on either side
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) {
+          penalty += 40;
+        }
+      }
+    }
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const total = size * size;
+    const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  /**
+   * Whole pixels per module for a requested image size (quiet zone
+   * included) - never below one, so the image may come out smaller than asked
+   */
+  function getScale(qr, size) {
+    return Math.max(1, Math.floor(size / (qr.size + QUIET_ZONE * 2)));
+  }
+
+  /**
+   * Draw onto a canvas, resizing it to a whole number of pixels per module
+   */
+  function drawToCanvas(qr, canvas, size) {
+    const scale = getScale(qr, size);
+    canvas.width = canvas.height = (qr.size + QUIET_ZONE * 2) * scale;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000000';
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) {
+          context.fillRect((x + QUIET_ZONE) * scale, (y + QUIET_ZONE) * scale, scale, scale);
+        }
+      });
+    });
+    return canvas;
+  }
+
+  /**
+   * Path data for the dark modules, in module units offset by the quiet zone
+   */
+  function toSvgPath(qr) {
+    const parts = [];
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) parts.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+      });
+    });
+    return parts.join('');
+  }
+
+  /**
+   * A standalone SVG document - vector, so it prints sharp at any size
+   */
+  function toSvgString(qr, size) {
+    const extent = qr.size + QUIET_ZONE * 2;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#ffffff"/>` +
+      `<path d="${toSvgPath(qr)}" fill="#000000"/>` +
+      `</svg>\n`;
+  }
+
+  return {
+    QUIET_ZONE,
+    ERROR_CORRECTION_LEVELS: Object.keys(ERROR_CORRECTION),
+    encode,
+    getScale,
+    drawToCanvas,
+    toSvgPath,
+    toSvgString
+  };
+})();
+
+// Export for use in content script
+window.InstaClickQR = InstaClickQR;
@@ -0,0 +1,128 @@
+/**
+ * InstaClick v2.4.7 - Selector Profiles
+ * Where to look for linkable text on each kind of page
+ *
+ * A profile is a set of named groups. Each group lists CSS selectors and,
+ * optionally, regexes for the page paths it applies to (no paths = every page).
+ * Every site adapter bundles a profile (sites.js); imported profiles replace
+ * bundled groups with the same name and keep the rest.
+ */
+
+const InstaClickSelectors = (() => {
+  // Profile JSON format understood by this build
+  const PROFILE_FORMAT = 1;
+
+  /**
+   * Check an imported profile. Returns a list of problems (empty when valid).
+   */
+  function validateProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return ['Profile must be a JSON object'];
+    }
+    if (profile.site !== undefined && typeof profile.site !== 'string') {
+      errors.push('"site" must be a site id such as "instagram"');
+    }
+    if (profile.format !== PROFILE_FORMAT) {
+      errors.push(`Unsupported format ${JSON.stringify(profile.format)} (expected ${PROFILE_FORMAT})`);
+    }
+    if (profile.version !== undefined && !(Number.isInteger(profile.version) && profile.version > 0)) {
+      errors.push('"version" must be the bundled profile version it was made from, such as 1');
+    }
+    if (!profile.groups || typeof profile.groups !== 'object' || Array.isArray(profile.groups)) {
+      errors.push('"groups" must be an object of named selector groups');
+      return errors;
+    }
+
+    for (const [name, group] of Object.entries(profile.groups)) {
+      if (!Array.isArray(group?.selectors) || group.selectors.length === 0) {
+        errors.push(`${name}: "selectors" must be a non-empty list`);
+        continue;
+      }
+
+      for (const selector of group.selectors) {
+        if (typeof selector !== 'string' || !isValidSelector(selector)) {
+          errors.push(`${name}: invalid selector ${JSON.stringify(selector)}`);
+        }
+      }
+
+      if (group.paths !== undefined) {
+        if (!Array.isArray(group.paths)) {
+          errors.push(`${name}: "paths" must be a list of regular expressions`);
+          continue;
+        }
+        for (const path of group.paths) {
+          try {
+            new RegExp(path);
+          } catch {
+            errors.push(`${name}: invalid path pattern ${JSON.stringify(path)}`);
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * The profile in effect: a site's bundled groups, with imported groups
+   * replacing those of the same name. basedOn is the bundled version the
+   * imported profile was made from (undefined when it doesn't say).
+   */
+  function mergeProfile(override, base) {
+    if (!override) {
+      return { ...base, overridden: [] };
+    }
+
+    return {
+      format: PROFILE_FORMAT,
+      site: base.site,
+      name: override.name || 'Imported profile',
+      version: base.version,
+      basedOn: override.version,
+      groups: { ...base.groups, ...override.groups },
+      overridden: Object.keys(override.groups)
+    };
+  }
+
+  /**
+   * How an imported profile's version compares with the bundled one it is
+   * merged into: 'current', 'older', 'newer' or 'unknown'
+   */
+  function compareProfileVersion(profile) {
+    if (profile.basedOn === undefined) return 'unknown';
+    if (profile.basedOn < profile.version) return 'older';
+    if (profile.basedOn > profile.version) return 'newer';
+    return 'current';
+  }
+
+  /**
+   * Groups that apply to a page path, as [name, group] pairs
+   */
+  function getActiveGroups(profile, pathname) {
+    return Object.entries(profile.groups).filter(([, group]) =>
+      !group.paths?.length || group.paths.some(path => new RegExp(path).test(pathname))
+    );
+  }
+
+  return {
+    PROFILE_FORMAT,
+    validateProfile,
+    mergeProfile,
+    compareProfileVersion,
+    getActiveGroups
+  };
+})();
+
+// Export for use in content script and popup
+window.InstaClickSelectors = InstaClickSelectors;
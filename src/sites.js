@@ -0,0 +1,209 @@
+/**
+ * InstaClick v2.4.7 - Site Adapters
+ * Everything that differs between the sites InstaClick runs on
+ *
+ * Each adapter bundles the selector profile for its site (see selectors.js),
+ * the paths of private conversations, the classes the site puts on the page in
+ * dark mode, the domains that count as "internal" (no preview lookups), and
+ * how to notice SPA navigation. Each site can be switched off in the popup.
+ * When changing an adapter's selectors, bump its profile version.
+ */
+
+const InstaClickSites = (() => {
+  const { PROFILE_FORMAT } = window.InstaClickSelectors;
+
+  /**
+   * All three sites are React SPAs that navigate with the History API
+   */
+  function watchHistoryNavigation(onChange) {
+    // Back/forward navigation
+    window.addEventListener('popstate', onChange);
+
+    // Patch pushState and replaceState to detect SPA navigation
+    const originalPushState = history.pushState;
+    history.pushState = function(...args) {
+      originalPushState.apply(this, args);
+      onChange();
+    };
+
+    const originalReplaceState = history.replaceState;
+    history.replaceState = function(...args) {
+      originalReplaceState.apply(this, args);
+      onChange();
+    };
+  }
+
+  const SITE_ADAPTERS = {
+    instagram: {
+      id: 'instagram',
+      name: 'Instagram',
+      setting: 'siteInstagram',
+      hosts: ['instagram.com'],
+      internalDomains: ['instagram.com', 'instagr.am', 'ig.me'],
+      privatePaths: ['^/direct/'],
+      darkModeClasses: ['__fb-dark-mode'],
+      watchNavigation: watchHistoryNavigation,
+      profile: {
+        format: PROFILE_FORMAT,
+        site: 'instagram',
+        name: 'InstaClick default',
+        version: 1,
+        groups: {
+          feed: {
+            paths: ['^/$'],
+            selectors: ['article', 'section', 'div[role="main"]']
+          },
+          post: {
+            paths: ['^/(p|tv)/'],
+            selectors: ['article', 'div[role="main"]', 'h1']
+          },
+          reel: {
+            paths: ['^/reels?/'],
+            selectors: ['div[role="main"]', 'section']
+          },
+          profileHeader: {
+            paths: ['^/(?!direct/|explore/|reels?/|p/|tv/|stories/)[^/]+/?$'],
+            selectors: ['header section', 'header h1', 'header h2']
+          },
+          captions: {
+            selectors: ['span[dir="auto"]', 'div[class*="x9f619"] span', 'h1', 'h2', 'h3']
+          },
+          comments: {
+            selectors: ['ul[class*="x78zum5"]']
+          },
+          modals: {
+            selectors: ['div[role="dialog"]', 'div[role="presentation"]', 'div[style*="transform: translateX"]']
+          },
+          dms: {
+            paths: ['^/direct/'],
+            selectors: [
+              'div[aria-label^="Messages in conversation"] div[dir="auto"]',
+              'div[role="grid"] div[role="row"] div[dir="auto"]',
+              'div[role="row"] span[dir="auto"]'
+            ]
+          }
+        }
+      }
+    },
+
+    threads: {
+      id: 'threads',
+      name: 'Threads',
+      setting: 'siteThreads',
+      hosts: ['threads.net', 'threads.com'],
+      internalDomains: ['threads.net', 'threads.com', 'instagram.com'],
+      privatePaths: [],
+      darkModeClasses: ['__fb-dark-mode'],
+      watchNavigation: watchHistoryNavigation,
+      profile: {
+        format: PROFILE_FORMAT,
+        site: 'threads',
+        name: 'InstaClick default',
+        version: 1,
+        groups: {
+          feed: {
+            paths: ['^/$', '^/(search|activity)'],
+            selectors: ['div[role="main"]', 'div[data-pressable-container="true"]']
+          },
+          post: {
+            paths: ['^/@[^/]+/post/'],
+            selectors: ['div[role="main"]', 'div[data-pressable-container="true"]']
+          },
+          profileHeader: {
+            paths: ['^/@[^/]+/?$'],
+            selectors: ['div[role="main"] h1', 'div[role="main"] h2', 'div[role="main"] span[dir="auto"]']
+          },
+          captions: {
+            selectors: ['span[dir="auto"]', 'div[dir="auto"]']
+          },
+          modals: {
+            selectors: ['div[role="dialog"]']
+          }
+        }
+      }
+    },
+
+    facebook: {
+      id: 'facebook',
+      name: 'Facebook',
+      setting: 'siteFacebook',
+      hosts: ['facebook.com'],
+      internalDomains: ['facebook.com', 'fb.com', 'fb.me', 'fb.watch', 'm.me', 'messenger.com'],
+      privatePaths: ['^/messages/'],
+      darkModeClasses: ['__fb-dark-mode'],
+      watchNavigation: watchHistoryNavigation,
+      profile: {
+        format: PROFILE_FORMAT,
+        site: 'facebook',
+        name: 'InstaClick default',
+        version: 1,
+        groups: {
+          feed: {
+            paths: ['^/$', '^/groups/', '^/watch'],
+            selectors: ['div[role="feed"]', 'div[role="article"]']
+          },
+          post: {
+            paths: ['/posts/', '^/permalink\\.php', '^/photo', '/videos/'],
+            selectors: ['div[role="main"]', 'div[role="article"]']
+          },
+          profileHeader: {
+            paths: ['^/(?!messages/|groups/|watch|marketplace/|photo|permalink\\.php)[^/]+/?$', '^/profile\\.php'],
+            selectors: ['div[role="main"] h1', 'div[role="main"] div[role="list"]']
+          },
+          captions: {
+            selectors: ['div[dir="auto"]', 'span[dir="auto"]']
+          },
+          comments: {
+            selectors: ['div[role="article"] ul']
+          },
+          modals: {
+            selectors: ['div[role="dialog"]']
+          },
+          dms: {
+            paths: ['^/messages/'],
+            selectors: ['div[role="main"] div[role="row"] div[dir="auto"]']
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * Whether a hostname is the host itself or one of its subdomains
+   */
+  function matchesHost(hostname, host) {
+    return hostname === host || hostname.endsWith(`.${host}`);
+  }
+
+  /**
+   * The adapter for a page's hostname, or null on sites we don't support
+   */
+  function getSiteForHost(hostname) {
+    return Object.values(SITE_ADAPTERS).find(site =>
+      site.hosts.some(host => matchesHost(hostname, host))
+    ) || null;
+  }
+
+  /**
+   * Whether a URL points back into the site itself (its own posts, profiles,
+   * short links) - those get no preview lookups
+   */
+  function isInternalDomain(site, hostname) {
+    return site.internalDomains.some(host => matchesHost(hostname, host));
+  }
+
+  function isPrivatePath(site, pathname) {
+    return site.privatePaths.some(path => new RegExp(path).test(pathname));
+  }
+
+  return {
+    SITE_ADAPTERS,
+    getSiteForHost,
+    isInternalDomain,
+    isPrivatePath,
+    matchesHost
+  };
+})();
+
+// Export for use in content script and popup
+window.InstaClickSites = InstaClickSites;
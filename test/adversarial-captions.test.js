@@ -0,0 +1,101 @@
+/**
+ * Hostile captions: markup and script text, URLs split across nodes, and
+ * obfuscated links carrying a payload. Each caption lists the exact links it
+ * must produce; on top of that, linking must never add markup of its own
+ * beyond the links, change the caption's text or give a link anything but a
+ * safe href.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions } = require('./helpers/content-script');
+
+// [caption HTML (as Instagram renders it: text is escaped), links as [text, href, kind = 'url']]
+const CAPTIONS = [
+  // Markup typed into the caption stays text; the link ends where markup starts
+  ['&lt;img src=x onerror=alert(1)&gt; example.com', [['example.com', 'https://example.com/']]],
+  ['https://example.com/"&gt;&lt;script&gt;alert(1)&lt;/script&gt;', [['https://example.com/', 'https://example.com/']]],
+  ['https://example.com/path?q=&lt;b&gt;x&lt;/b&gt;', [['https://example.com/path?q=', 'https://example.com/path?q=']]],
+  ['&lt;a href="javascript:alert(1)"&gt;click&lt;/a&gt;', []],
+  ['https://example.com/`${alert(1)}`', [['https://example.com/', 'https://example.com/']]],
+  ['https://example.com/%3Cscript%3E', [['https://example.com/%3Cscript%3E', 'https://example.com/%3Cscript%3E']]],
+  ['example.com/?a=1&amp;b=2', [['example.com/?a=1&b=2', 'https://example.com/?a=1&b=2']]],
+  // Quotes inside a path are part of it - the href is set as an attribute value, never as markup
+  ["example.com/'onmouseover='alert(1)", [["example.com/'onmouseover='alert(1)", "https://example.com/'onmouseover='alert(1)"]]],
+  // Script schemes are never links, however they are dressed up
+  ['javascript:alert(1)//example.com', []],
+  ['data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;', []],
+  ['x@example.com?subject=&lt;script&gt;', [['x@example.com', 'mailto:x@example.com', 'email']]],
+  ['tg://resolve?domain=x"&gt;&lt;script&gt;', [['tg://resolve?domain=x', 'tg://resolve?domain=x', 'app']]],
+  // Across nodes
+  ['<span>https://exa</span><span>mple.com/a"onclick="x</span>', [['https://example.com/a', 'https://example.com/a']]],
+  ['<b>https://example.com/</b><i>"&gt;&lt;svg onload=alert(1)&gt;</i>', [['https://example.com/', 'https://example.com/']]],
+  ['example.com/very-<br>long-path', [['example.com/very-long-path', 'https://example.com/very-long-path']]],
+  ['exam\u00ADple.com', [['exam\u00ADple.com', 'https://example.com/']]],
+  // Links the page made itself are left alone
+  ['<a href="https://www.instagram.com/x">example.com</a> and example.org', [['example.org', 'https://example.org/']]],
+  // Obfuscated links with a payload behind them
+  ['evil[.]com/&lt;svg/onload=alert(1)&gt;', [['evil[.]com/', 'https://evil.com/', 'recovered']]],
+  ['evil (dot) com/"&gt;&lt;img src=x onerror=alert(1)&gt;', [['evil (dot) com/', 'https://evil.com/', 'recovered']]]
+];
+
+const SAFE_HREF = /^(?:https?:|mailto:|tel:|tg:)/;
+const LINK_ATTRIBUTES = new Set([
+  'href', 'target', 'rel', 'dir', 'class', 'title', 'data-instaclick-url', 'data-instaclick-kind'
+]);
+
+// Kinds of element in a caption, leaving out what InstaClick adds (a link
+// across nodes may split the elements at its ends, so counts can change)
+function pageElements(root) {
+  const tags = [...root.querySelectorAll('*')]
+    .filter(element => !element.matches('.instaclick-link, .instaclick-favicon'))
+    .map(element => element.tagName);
+  return [...new Set(tags)].sort();
+}
+
+describe('adversarial captions', () => {
+  let page;
+  const original = [];
+
+  before(async () => {
+    page = await loadCaptions(CAPTIONS.map(([caption]) => caption), { settings: { recoverObfuscatedLinks: true } });
+    // The same captions, parsed but never linked
+    const template = page.window.document.createElement('template');
+    for (const [caption] of CAPTIONS) {
+      template.innerHTML = `<span dir="auto">${caption}</span>`;
+      original.push({ text: template.content.textContent, elements: pageElements(template.content) });
+    }
+  });
+  after(() => page.close());
+
+  CAPTIONS.forEach(([caption, links], i) => {
+    describe(caption, () => {
+      const root = () => page.window.document.querySelector(`[data-caption="${i}"]`);
+
+      it('produces exactly the expected links', () => {
+        const expected = links.map(([text, href, kind = 'url']) => ({ text, href, kind }));
+        assert.deepEqual(page.linksOf(i), expected);
+      });
+
+      it('keeps the text and adds no other elements', () => {
+        assert.equal(root().textContent, original[i].text);
+        assert.deepEqual(pageElements(root()), original[i].elements);
+      });
+
+      it('gives links only a safe href and known attributes', () => {
+        for (const link of root().querySelectorAll('.instaclick-link')) {
+          assert.match(link.getAttribute('href'), SAFE_HREF);
+          assert.equal(link.getAttribute('data-instaclick-url'), link.getAttribute('href'));
+          for (const { name } of link.attributes) {
+            assert.ok(LINK_ATTRIBUTES.has(name), `unexpected attribute ${name}`);
+          }
+          assert.equal(link.querySelector('.instaclick-link'), null, 'nested link');
+        }
+        for (const element of root().querySelectorAll('*')) {
+          const handlers = [...element.attributes].filter(({ name }) => name.startsWith('on'));
+          assert.deepEqual(handlers, []);
+        }
+      });
+    });
+  });
+});
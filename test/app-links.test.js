@@ -0,0 +1,43 @@
+/**
+ * App deep links (APP_SCHEMES in content.js) in plain captions
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { linkify } = require('./helpers/content-script');
+
+// One caption per supported scheme, with no dot, digit or @ elsewhere in it
+const SCHEME_CAPTIONS = [
+  ['spotify', 'new single out now spotify:track:abcdefXYZ enjoy', 'spotify:track:abcdefXYZ'],
+  ['tg', 'join us tg://resolve?domain=durov', 'tg://resolve?domain=durov'],
+  ['whatsapp', 'message me whatsapp://send?phone=4915112345678', 'whatsapp://send?phone=4915112345678'],
+  ['sms', 'text sms:+4915112345678 for updates', 'sms:+4915112345678']
+];
+
+describe('app links', () => {
+  for (const [scheme, caption, link] of SCHEME_CAPTIONS) {
+    it(`links ${scheme}: in a plain caption`, async () => {
+      assert.deepEqual(await linkify(caption), [{ text: link, href: link, kind: 'app' }]);
+    });
+  }
+
+  it('trims sentence punctuation after an app link', async () => {
+    assert.deepEqual(await linkify('Playlist: spotify:playlist:37i9dQZF1DX0XUsuxWHRQd.'), [
+      { text: 'spotify:playlist:37i9dQZF1DX0XUsuxWHRQd', href: 'spotify:playlist:37i9dQZF1DX0XUsuxWHRQd', kind: 'app' }
+    ]);
+  });
+
+  it('leaves a scheme set to "never" as text', async () => {
+    const settings = { schemePolicies: { tg: 'never' } };
+    assert.deepEqual(await linkify('join us tg://resolve?domain=durov', { settings }), []);
+  });
+
+  it('never links javascript: or data: whatever the policies say', async () => {
+    const settings = { schemePolicies: { javascript: 'link', data: 'link' } };
+    assert.deepEqual(await linkify('click javascript:alert(document.cookie) or data:text/html,hi', { settings }), []);
+  });
+
+  it('leaves unregistered schemes as text', async () => {
+    assert.deepEqual(await linkify('open steam://run/440 or skype:someone?call'), []);
+  });
+});
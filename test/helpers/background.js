@@ -0,0 +1,114 @@
+/**
+ * Runs the background service worker in a vm context with a chrome stub and
+ * a network that only reaches the given routes: hosts listed in `hosts` are
+ * sent to a local HTTP fixture server (whatever the port), anything else fails
+ * like an unreachable host.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+const SOURCE = fs.readFileSync(path.join(SRC, 'background.js'), 'utf8');
+
+/**
+ * Start the fixture server. `routes` maps a path to (request, response) =>
+ * void; every request is recorded in `requests` as { host, path, method }.
+ */
+async function startFixtureServer(routes) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://fixture');
+    requests.push({ host: request.headers['x-fixture-host'], path: request.url, method: request.method });
+    const route = routes[pathname];
+    if (route) {
+      route(request, response);
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/html' });
+      response.end('<title>Not found</title>');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Load background.js. `hosts` are names served by the fixture server. With
+ * `webRequest` the worker gets chrome.webRequest events, fired by the test
+ * with emit(); an `onFetch` returning a promise answers a request in place of the network,
+ * `onMessage` answers messages the worker sends to extension pages (the
+ * offscreen document). Returns the worker's global scope, the URLs it fetched
+ * and the offscreen documents it opened.
+ */
+function loadBackground({ server, hosts = [], settings = {}, webRequest = false, onFetch = () => undefined, onMessage = () => undefined }) {
+  const fetched = [];
+  const offscreenDocuments = [];
+  const storage = { sync: { settings: { privacyMode: 'off', ...settings } }, local: {} };
+  const listeners = {};
+  const noop = () => {};
+  const event = name => ({ addListener: listener => (listeners[name] ||= []).push(listener) });
+
+  const area = name => ({
+    get: async key => (typeof key === 'string' ? { [key]: storage[name][key] } : { ...storage[name] }),
+    set: async items => Object.assign(storage[name], items),
+    remove: async keys => [].concat(keys).forEach(key => delete storage[name][key])
+  });
+
+  const context = vm.createContext({
+    console: { log: noop, warn: noop, error: noop, debug: noop },
+    setTimeout, clearTimeout, AbortController, URL, TextDecoder, TextEncoder, btoa,
+    chrome: {
+      runtime: {
+        getURL: file => `chrome-extension://instaclick-test/${file}`,
+        getManifest: () => ({ version: '0.0.0' }),
+        onInstalled: { addListener: noop },
+        onMessage: { addListener: noop },
+        getContexts: async () => offscreenDocuments.map(documentUrl => ({ contextType: 'OFFSCREEN_DOCUMENT', documentUrl })),
+        sendMessage: async message => onMessage(message)
+      },
+      offscreen: { createDocument: async ({ url }) => { offscreenDocuments.push(url); } },
+      storage: { sync: area('sync'), local: area('local'), onChanged: { addListener: noop } },
+      ...(webRequest && {
+        webRequest: {
+          onBeforeRequest: event('onBeforeRequest'),
+          onBeforeRedirect: event('onBeforeRedirect'),
+          onErrorOccurred: event('onErrorOccurred'),
+          onCompleted: event('onCompleted')
+        }
+      })
+    },
+    fetch: async (url, init = {}) => {
+      const parsed = new URL(url);
+      fetched.push(parsed.href);
+
+      const answer = onFetch(parsed.href, init);
+      if (answer) return answer;
+
+      if (!hosts.includes(parsed.hostname)) {
+        throw new TypeError('fetch failed');
+      }
+
+      // Same request to the fixture server, reported under the URL asked for
+      const local = new URL(parsed.pathname + parsed.search, `http://127.0.0.1:${server.port}`);
+      const response = await fetch(local, { ...init, headers: { ...init.headers, 'X-Fixture-Host': parsed.host } });
+      Object.defineProperty(response, 'url', { value: parsed.href });
+      return response;
+    }
+  });
+  // importScripts() paths are relative to background.js
+  context.self = context;
+  context.importScripts = (...files) => files.forEach(file => vm.runInContext(fs.readFileSync(path.join(SRC, file), 'utf8'), context));
+  vm.runInContext(SOURCE, context);
+
+  const emit = (name, details) => (listeners[name] || []).forEach(listener => listener(details));
+  return { worker: context, fetched, storage, emit, offscreenDocuments, extensionOrigin: 'chrome-extension://instaclick-test' };
+}
+
+module.exports = { startFixtureServer, loadBackground };
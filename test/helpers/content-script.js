@@ -0,0 +1,110 @@
+/**
+ * Runs the content scripts (in manifest order) on a jsdom page holding the
+ * given captions and reports the links they create, per caption
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const PROCESSING_TIMEOUT_MS = 5000;
+
+/**
+ * Load a page with one <span dir="auto"> per caption (HTML, so tests can split
+ * text across nodes) and wait until the content script has processed it.
+ * Returns { window, messages, linksOf(index), close() } - messages are the
+ * ones sent to the background worker, `responses` maps a message type to the
+ * worker's answer.
+ */
+async function loadCaptions(captions, { settings = {}, url = 'https://www.instagram.com/p/fixture/', responses = {} } = {}) {
+  const body = captions.map((caption, i) => `<div data-caption="${i}"><span dir="auto">${caption}</span></div>`).join('');
+  // The content script logs as it starts - only report errors from the page itself
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => console.error(error));
+  const dom = new JSDOM(`<!DOCTYPE html><body><div role="main">${body}</div></body>`, { url, runScripts: 'outside-only', virtualConsole });
+  const { window } = dom;
+  const messages = [];
+
+  stubBrowserApis(window);
+  window.chrome = createChromeStub(settings, messages, responses);
+  for (const source of CONTENT_SCRIPTS) window.eval(source);
+
+  await waitForProcessing(window);
+
+  const linksOf = index => [...window.document.querySelectorAll(`[data-caption="${index}"] .instaclick-link`)]
+    .map(link => ({
+      text: link.textContent,
+      href: link.getAttribute('href'),
+      kind: link.getAttribute('data-instaclick-kind')
+    }));
+
+  return { window, messages, linksOf, close: () => window.close() };
+}
+
+/**
+ * Links created for a single plain-text caption
+ */
+async function linkify(text, options) {
+  const page = await loadCaptions([escapeHtml(text)], options);
+  try {
+    return page.linksOf(0);
+  } finally {
+    page.close();
+  }
+}
+
+// Page APIs jsdom doesn't have
+function stubBrowserApis(window) {
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.matchMedia = () => ({ matches: false });
+  window.TextEncoder = TextEncoder;
+  window.CSS = { escape: value => value.replace(/["\\]/g, '\\$&') };
+}
+
+function createChromeStub(settings, messages, responses) {
+  const noop = () => {};
+  return {
+    runtime: {
+      id: 'instaclick-test',
+      getURL: file => `chrome-extension://instaclick-test/${file}`,
+      onMessage: { addListener: noop },
+      sendMessage: async message => {
+        messages.push(message);
+        if (message.type === 'GET_SETTINGS') return { success: true, settings };
+        return responses[message.type] || { success: false };
+      }
+    },
+    storage: {
+      local: { get: async () => ({}), set: async () => {} },
+      onChanged: { addListener: noop }
+    }
+  };
+}
+
+// Big pages are split into their children (MAX_ELEMENTS_PER_TASK), which are then processed one by one
+async function waitForProcessing(window) {
+  const main = window.document.querySelector('[role="main"]');
+  const isSplit = main.getElementsByTagName('*').length > 300;
+  const isDone = () => main.hasAttribute('data-instaclick-processed') &&
+    (!isSplit || [...main.children].every(child => child.hasAttribute('data-instaclick-processed')));
+
+  const deadline = Date.now() + PROCESSING_TIMEOUT_MS;
+  while (!isDone()) {
+    if (Date.now() > deadline) throw new Error('Content script did not process the page');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = { loadCaptions, linkify, escapeHtml };
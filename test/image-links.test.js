@@ -0,0 +1,170 @@
+/**
+ * Links in images: the "Find links" button on post images, the lines read by
+ * the OCR engine run through the caption detectors, and the background
+ * worker's download of the image for the offscreen OCR document
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions } = require('./helpers/content-script');
+const { startFixtureServer, loadBackground } = require('./helpers/background');
+
+const IMAGE_URL = 'https://scontent.cdninstagram.com/v/post.jpg';
+const POST = `<article><img src="${IMAGE_URL}" alt=""></article>`;
+
+/**
+ * Hover the post image, click "Find links" and wait for the chips. jsdom has
+ * no layout, so the image gets a size and is the element under the pointer.
+ */
+async function findLinksInImage(page) {
+  const { document, MouseEvent } = page.window;
+  const img = document.querySelector('article img');
+  Object.defineProperty(img, 'clientWidth', { value: 600 });
+  Object.defineProperty(img, 'clientHeight', { value: 600 });
+  document.elementsFromPoint = () => [img];
+
+  img.dispatchEvent(new MouseEvent('mouseover', { bubbles: true, clientX: 100, clientY: 100 }));
+  const button = document.querySelector('.instaclick-image-scan-btn');
+  if (!button) return null;
+  button.click();
+
+  for (let waited = 0; !document.querySelector('.instaclick-image-links'); waited += 10) {
+    if (waited > 2000) throw new Error('No image links overlay');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const overlay = document.querySelector('.instaclick-image-links');
+  return {
+    chips: [...overlay.querySelectorAll('.instaclick-image-chip')].map(chip => [chip.textContent, chip.getAttribute('href')]),
+    message: overlay.querySelector('.instaclick-image-links-message')?.textContent || null
+  };
+}
+
+describe('links in images', () => {
+  it('offers no button unless the setting is on', async () => {
+    const page = await loadCaptions([POST]);
+    try {
+      assert.equal(await findLinksInImage(page), null);
+    } finally {
+      page.close();
+    }
+  });
+
+  it('links what the OCR engine read, through the caption detectors', async () => {
+    const lines = [
+      'SUMMER SALE',
+      'shop at www.example-store.com/sale today!',
+      'questions? hello@example-store.com',
+      'javascript:alert(1)',
+      'www.example-store.com/sale'
+    ];
+    const page = await loadCaptions([POST], {
+      settings: { scanImagesForLinks: true },
+      responses: { READ_IMAGE_TEXT: { success: true, lines } }
+    });
+    try {
+      const result = await findLinksInImage(page);
+      assert.deepEqual(result, {
+        chips: [
+          ['www.example-store.com/sale', 'https://www.example-store.com/sale'],
+          ['hello@example-store.com', 'mailto:hello@example-store.com']
+        ],
+        message: null
+      });
+      const reads = page.messages.filter(({ type }) => type === 'READ_IMAGE_TEXT').map(({ url }) => url);
+      assert.deepEqual(reads, [IMAGE_URL]);
+    } finally {
+      page.close();
+    }
+  });
+
+  it('says so when nothing was found or the download was blocked', async () => {
+    for (const [response, message] of [
+      [{ success: true, lines: ['no links here'] }, 'No links found in this image'],
+      [{ success: false, blocked: true, error: 'Blocked by privacy mode' }, 'Blocked by privacy mode'],
+      [{ success: false, error: 'The OCR engine is missing' }, 'Could not read this image']
+    ]) {
+      const page = await loadCaptions([POST], { settings: { scanImagesForLinks: true }, responses: { READ_IMAGE_TEXT: response } });
+      try {
+        assert.deepEqual(await findLinksInImage(page), { chips: [], message });
+      } finally {
+        page.close();
+      }
+    }
+  });
+});
+
+describe('reading image text in the background worker', () => {
+  const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+  let server;
+  let page;
+  let ocrMessages;
+
+  before(async () => {
+    server = await startFixtureServer({
+      '/post.jpg': (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        response.end(JPEG);
+      },
+      '/huge.jpg': (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        response.end(Buffer.alloc(8 * 1024 * 1024 + 1));
+      },
+      '/page.html': (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/html' });
+        response.end('<title>Not an image</title>');
+      }
+    });
+  });
+  after(() => server.close());
+
+  const load = settings => {
+    ocrMessages = [];
+    server.requests.length = 0;
+    page = loadBackground({
+      server,
+      settings,
+      hosts: ['cdn.fixture.test'],
+      onMessage: message => {
+        ocrMessages.push({ ...message });
+        return { success: true, lines: ['visit example.com'] };
+      }
+    });
+  };
+  beforeEach(() => load({}));
+
+  it('downloads the image through the egress gate and reads it offscreen', async () => {
+    const result = await page.worker.readImageText('https://cdn.fixture.test/post.jpg');
+    assert.deepEqual({ ...result, lines: [...result.lines] }, { success: true, lines: ['visit example.com'] });
+    assert.deepEqual([...page.offscreenDocuments], ['src/ocr.html']);
+    assert.deepEqual(ocrMessages, [{
+      target: 'ocr',
+      type: 'RECOGNIZE_IMAGE',
+      image: `data:image/jpeg;base64,${JPEG.toString('base64')}`
+    }]);
+
+    const { log } = await page.worker.getEgressLog();
+    const entry = log.find(({ purpose }) => purpose === 'Image text');
+    assert.equal(entry.host, 'cdn.fixture.test');
+    assert.equal(entry.allowed, true);
+
+    // The offscreen document is opened once
+    await page.worker.readImageText('https://cdn.fixture.test/post.jpg');
+    assert.equal(page.offscreenDocuments.length, 1);
+  });
+
+  it('reads nothing when the privacy mode blocks the download', async () => {
+    load({ privacyMode: 'none' });
+    const result = await page.worker.readImageText('https://cdn.fixture.test/post.jpg');
+    assert.deepEqual({ ...result }, { success: false, blocked: true, error: 'Blocked by privacy mode' });
+    assert.deepEqual(server.requests, []);
+    assert.deepEqual(ocrMessages, []);
+  });
+
+  it('only hands over images up to the size limit', async () => {
+    for (const path of ['/huge.jpg', '/page.html']) {
+      const result = await page.worker.readImageText(`https://cdn.fixture.test${path}`);
+      assert.equal(result.success, false);
+    }
+    assert.deepEqual(ocrMessages, []);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Link previews built by the background worker from pages on a local fixture
+ * server, and the local network guard in front of every request
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer, loadBackground } = require('./helpers/background');
+const { loadCaptions, escapeHtml } = require('./helpers/content-script');
+
+const html = body => (request, response) => {
+  response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  response.end(body);
+};
+
+const ROUTES = {
+  '/article': html(`<!DOCTYPE html><html><head>
+    <title>Ignored when og:title is set</title>
+    <meta property="og:title" content="Fixture &amp; Friends">
+    <meta property="og:description" content="An article about fixtures">
+    <meta property="og:image" content="/images/cover.jpg">
+    <meta property="og:site_name" content="Fixture News">
+    <link rel="shortcut icon" href="/static/icon.png">
+    </head><body><p>Body text</p></body></html>`),
+  '/twitter': html(`<html><head>
+    <meta name="twitter:card" content="player">
+    <meta name="twitter:title" content="Card title">
+    <meta name="twitter:description" content="Card description">
+    <meta name="twitter:image" content="https://cdn.fixture.test/card.png">
+    </head></html>`),
+  '/plain': html('<html><head><title>  Just a\n  title </title></head><body>No tags</body></html>'),
+  '/video': html(`<html><head><title>Video page</title>
+    <link rel="alternate" type="application/json+oembed" href="/oembed?url=http%3A%2F%2Ffixture.test%2Fvideo&amp;format=json">
+    </head></html>`),
+  '/oembed': (request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ type: 'video', title: 'Video title', thumbnail_url: '/thumb.jpg', provider_name: 'FixtureTube' }));
+  },
+  '/photo.png': (request, response) => {
+    response.writeHead(200, { 'Content-Type': 'image/png' });
+    response.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  },
+  '/parked': html('<html><head><title>fixture.test</title></head><body>This domain is for sale!</body></html>')
+};
+
+describe('link previews from the fixture server', () => {
+  let server;
+  let worker;
+  let fetched;
+
+  before(async () => {
+    server = await startFixtureServer(ROUTES);
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    server.requests.length = 0;
+    ({ worker, fetched } = loadBackground({ server, hosts: ['fixture.test'] }));
+  });
+
+  it('reads OpenGraph tags and the icon', async () => {
+    const { success, data } = await worker.fetchLinkPreview('http://fixture.test/article');
+    assert.equal(success, true);
+    assert.deepEqual({ ...data, health: { ...data.health } }, {
+      type: 'website',
+      url: 'http://fixture.test/article',
+      domain: 'fixture.test',
+      title: 'Fixture & Friends',
+      description: 'An article about fixtures',
+      image: 'http://fixture.test/images/cover.jpg',
+      favicon: 'http://fixture.test/static/icon.png',
+      siteName: 'Fixture News',
+      health: { state: 'ok' }
+    });
+    assert.deepEqual(server.requests.map(({ host, path }) => `${host}${path}`), ['fixture.test/article']);
+    // Nothing else is contacted about the link, not even a DNS service
+    assert.deepEqual(fetched, ['http://fixture.test/article']);
+  });
+
+  it('falls back to Twitter Card tags', async () => {
+    const { data } = await worker.fetchLinkPreview('http://fixture.test/twitter');
+    assert.equal(data.title, 'Card title');
+    assert.equal(data.description, 'Card description');
+    assert.equal(data.image, 'https://cdn.fixture.test/card.png');
+    assert.equal(data.type, 'video');
+  });
+
+  it('falls back to <title> and the default favicon', async () => {
+    const { data } = await worker.fetchLinkPreview('http://fixture.test/plain');
+    assert.equal(data.title, 'Just a title');
+    assert.equal(data.image, null);
+    assert.equal(data.favicon, 'http://fixture.test/favicon.ico');
+  });
+
+  it('fills in from a discovered oEmbed endpoint', async () => {
+    const { data } = await worker.fetchLinkPreview('http://fixture.test/video');
+    assert.equal(data.title, 'Video page');
+    assert.equal(data.image, 'http://fixture.test/thumb.jpg');
+    assert.equal(data.siteName, 'FixtureTube');
+    assert.equal(data.type, 'video');
+    assert.deepEqual(server.requests.map(({ path }) => path), ['/video', '/oembed?url=http%3A%2F%2Ffixture.test%2Fvideo&format=json']);
+  });
+
+  it('uses a direct image link as its own preview', async () => {
+    const { data } = await worker.fetchLinkPreview('http://fixture.test/photo.png');
+    assert.equal(data.image, 'http://fixture.test/photo.png');
+  });
+
+  it('reports missing and parked pages', async () => {
+    const missing = await worker.fetchLinkPreview('http://fixture.test/gone');
+    assert.equal(missing.success, false);
+    assert.deepEqual({ ...missing.health }, { state: 'notFound', status: 404 });
+
+    const parked = await worker.fetchLinkPreview('http://fixture.test/parked');
+    assert.equal(parked.data.health.state, 'parked');
+  });
+
+  it('requests public hosts on any port', async () => {
+    const { data } = await worker.fetchLinkPreview('http://fixture.test:8080/plain');
+    assert.equal(data.title, 'Just a title');
+    assert.deepEqual(server.requests.map(({ host, path }) => `${host}${path}`), ['fixture.test:8080/plain']);
+  });
+
+  // Every one of these would reach the user's own network (or the fixture server itself)
+  const LOCAL_TARGETS = [
+    [`http://127.0.0.1/`, 'Local network address'],
+    ['http://localhost/admin', 'Single-label host'],
+    ['http://router/', 'Single-label host'],
+    ['http://192.168.1.1/', 'Local network address'],
+    ['http://0x7f.1/', 'Local network address'],
+    ['http://2130706433/', 'Local network address'],
+    ['http://[::1]/', 'Local network address'],
+    ['http://[fe80::1]/', 'Local network address'],
+    ['http://[::ffff:10.0.0.1]/', 'Local network address'],
+    ['http://fritz.box/', 'Local network name'],
+    ['http://printer.local/', 'Local network name'],
+    ['http://nas.home.arpa/', 'Local network name'],
+    ['http://10.0.0.1.nip.io/', 'Local network address'],
+    ['http://app-192-168-0-10.sslip.io/', 'Local network address'],
+    ['http://localhost:8080/', 'Single-label host'],
+    ['http://192.168.1.1:8443/', 'Local network address']
+  ];
+
+  for (const [url, reason] of LOCAL_TARGETS) {
+    it(`never requests ${url}`, async () => {
+      const result = await worker.fetchLinkPreview(url);
+      assert.equal(result.blocked, true);
+      assert.equal(result.error, `Blocked: ${reason.toLowerCase()}`);
+      assert.deepEqual(server.requests, []);
+      assert.deepEqual(fetched, []);
+
+      const { log } = await worker.getEgressLog();
+      assert.equal(log[0].allowed, false);
+      assert.equal(log[0].reason, reason);
+    });
+  }
+
+  it('applies the guard to preview images checked by the card', async () => {
+    const blocked = await worker.checkEgress('http://192.168.0.1/cam.jpg', { purpose: 'Preview image', linkUrl: 'http://fixture.test/' });
+    assert.equal(blocked.allowed, false);
+    const allowed = await worker.checkEgress('http://fixture.test/cover.jpg', { purpose: 'Preview image', linkUrl: 'http://fixture.test/' });
+    assert.equal(allowed.allowed, true);
+  });
+});
+
+describe('preloading', () => {
+  const previewFetches = async settings => {
+    const page = await loadCaptions([escapeHtml('see example.com and fixture.org/page')], { settings });
+    await new Promise(resolve => setTimeout(resolve, 500));
+    page.close();
+    return page.messages.filter(({ type }) => type === 'FETCH_LINK_PREVIEW').map(({ url }) => url);
+  };
+
+  it('fetches nothing before a link is hovered by default', async () => {
+    assert.deepEqual(await previewFetches({}), []);
+  });
+
+  it('fetches visible links when "Preload previews" is on', async () => {
+    assert.deepEqual(await previewFetches({ preloadPreviews: true }), ['https://example.com/', 'https://fixture.org/page']);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Lookalike domain checks (lookalike.js) with the default options
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions } = require('./helpers/content-script');
+
+// [hostname, type, brand name] - type null for hosts that must not be flagged
+const HOSTS = [
+  // Brands' own domains, their subdomains and their country sites
+  ['www.paypal.com', null], ['shop.ups.com', null], ['paypal.de', null], ['google.co.uk', null],
+  ['amazon.co.jp', null], ['twitch.com', null], ['cash.app', null],
+  // ...and the other generic TLDs of brands on .com
+  ['google.org', null], ['www.google.net', null], ['netflix.net', null], ['paypal.net', null], ['instagram.org', null],
+  // Short brand names inside everyday words and unrelated subdomains
+  ['pop-ups.com', null], ['big-apple-bakery.com', null], ['ups.example.com', null],
+  ['my-ebay-shop.com', null], ['apple.example.org', null],
+  // ...but not next to account words or with the official domain spelled out
+  ['apple-support.com', 'brandMisplaced', 'Apple'], ['ups-tracking.net', 'brandMisplaced', 'UPS'],
+  ['dhl-parcel.info', 'brandMisplaced', 'DHL'], ['login.ebay.secure-site.net', 'brandMisplaced', 'eBay'],
+  ['apple.com.evil.xyz', 'brandMisplaced', 'Apple'],
+  // Long brands anywhere in the name
+  ['paypal.com.account-check.xyz', 'brandMisplaced', 'PayPal'], ['instagram-support.co', 'brandMisplaced', 'Instagram'],
+  ['my-netflix.com', 'brandMisplaced', 'Netflix'],
+  // The brand's name on a TLD it doesn't use
+  ['paypal.co', 'foreignTld', 'PayPal'], ['www.paypal.cm', 'foreignTld', 'PayPal'], ['netflix.xyz', 'foreignTld', 'Netflix'],
+  ['instagram.de', 'foreignTld', 'Instagram'], ['ebay.co', 'foreignTld', 'eBay'], ['cashapp.co', 'foreignTld', 'Cash App'],
+  ['telegram.net', 'foreignTld', 'Telegram'], ['google.info', 'foreignTld', 'Google'],
+  // Lookalikes and homographs are still found first
+  ['paypa1.com', 'lookalike', 'PayPal'], ['rnicrosoft.com', 'lookalike', 'Microsoft'],
+  ['xn--pple-43d.com', 'mixedScript', 'Apple']
+];
+
+describe('lookalike domains', () => {
+  let page;
+  let lookalike;
+
+  before(async () => {
+    page = await loadCaptions([]);
+    lookalike = page.window.InstaClickLookalike;
+  });
+  after(() => page.close());
+
+  for (const [hostname, type, brand] of HOSTS) {
+    it(`${type ? `flags ${hostname} as ${type}` : `leaves ${hostname} alone`}`, () => {
+      const warning = lookalike.createChecker().check(hostname);
+      assert.deepEqual(warning && [warning.type, warning.brand?.name], type ? [type, brand] : null);
+    });
+  }
+
+  it('explains a foreign TLD', () => {
+    const warning = lookalike.createChecker().check('paypal.co');
+    assert.equal(lookalike.describe(warning), "Uses the name PayPal, but PayPal isn't on paypal.co - its site is paypal.com");
+  });
+
+  it('takes the brand length option for misplaced names too', () => {
+    const checker = lookalike.createChecker({ minLength: 3, maxDistance: 0 });
+    assert.equal(checker.check('pop-ups.com')?.type, 'brandMisplaced');
+  });
+
+  it('gives user brands no country sites', () => {
+    const checker = lookalike.createChecker({ extraDomains: ['mybrand.shop'] });
+    assert.equal(checker.check('mybrand.shop'), null);
+    assert.equal(checker.check('mybrand.de')?.type, 'foreignTld');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Recovery of obfuscated links ("mysite dot com", "mysite[.]com") - what is
+ * recovered, and a rejection corpus of ordinary text that must stay text
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions, escapeHtml } = require('./helpers/content-script');
+
+const RECOVERED = [
+  ['shop at mysite dot com/shop today', 'mysite dot com/shop', 'https://mysite.com/shop'],
+  ['mysite[.]com', 'mysite[.]com', 'https://mysite.com/'],
+  ['find me: mysite(.)com', 'mysite(.)com', 'https://mysite.com/'],
+  ['mysite{.}co', 'mysite{.}co', 'https://mysite.co/'],
+  ['link is mysite . com', 'mysite . com', 'https://mysite.com/'],
+  ['MYSITE DOT COM', 'MYSITE DOT COM', 'https://mysite.com/'],
+  ['shop.mysite [dot] com/sale', 'shop.mysite [dot] com/sale', 'https://shop.mysite.com/sale'],
+  ['mysite (dot) de', 'mysite (dot) de', 'https://mysite.de/']
+];
+
+// Text that must not produce any link while recovery is on
+const REJECTED = [
+  // Version strings
+  'update to v2.0.1 now', 'version 1.2.3 is out', 'Python 3.11 dot release', 'iOS 17.4.1 broke it',
+  'build 10.0.19045', 'release 2024.03 notes',
+  // File names
+  'see report.pdf', 'IMG_2024.jpeg attached', 'run setup.py first', 'edit README.md',
+  'final_v2.docx', 'song.mp3 and video.mov',
+  // Abbreviations
+  'e.g. this one', 'i.e. that one', 'a.m. or p.m.', 'the U.S. market', 'etc. etc.',
+  'Mr. Smith and Dr. Jones', 'St. Louis', 'No. 5 perfume', 'vs. them',
+  // Numbers
+  'it costs 3.99', '$4.99 only', '1,000.50 EUR', 'pi is 3.14', 'meet at 10.30 pm',
+  'born 15.01.1990', 'rated 4.5 stars', '0.5 mm',
+  // Prose with "dot" and spaced dots
+  'the dot com era', 'a . com', 'polka dot dress', 'connect the dots', 'dot dot dot',
+  'it is . Then we left', 'went home . Next day', 'his dot was red', 'wait... what',
+  'so . much . fun', 'yes dot no', 'my dot com days', 'Dot Com bubble',
+  // Missing spaces after full stops
+  'I loved it.Then we left', 'best day.Ever'
+];
+
+describe('obfuscated link recovery', () => {
+  let page;
+  const captions = [...RECOVERED.map(([caption]) => caption), ...REJECTED];
+
+  before(async () => {
+    page = await loadCaptions(captions.map(escapeHtml), { settings: { recoverObfuscatedLinks: true } });
+  });
+  after(() => page.close());
+
+  RECOVERED.forEach(([caption, text, href], i) => {
+    it(`recovers "${caption}"`, () => {
+      assert.deepEqual(page.linksOf(i), [{ text, href, kind: 'recovered' }]);
+    });
+  });
+
+  REJECTED.forEach((caption, i) => {
+    it(`leaves "${caption}" as text`, () => {
+      assert.deepEqual(page.linksOf(RECOVERED.length + i), []);
+    });
+  });
+});
+
+describe('obfuscated link recovery when off', () => {
+  it('leaves obfuscated links as text (the default)', async () => {
+    const page = await loadCaptions(RECOVERED.map(([caption]) => escapeHtml(caption)));
+    try {
+      RECOVERED.forEach((_, i) => assert.deepEqual(page.linksOf(i), []));
+    } finally {
+      page.close();
+    }
+  });
+});
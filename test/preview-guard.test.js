@@ -0,0 +1,81 @@
+/**
+ * The preview card's links (preview.js) pass the same checks as the links in
+ * captions: the blocklist warning on click and middle-click, also for the
+ * entries of a link-in-bio page, which get the lookalike badge too
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions } = require('./helpers/content-script');
+
+const BLOCKLIST = { success: true, lists: [{ id: 'test', name: 'Test list', domains: ['evil.example'], exceptions: [] }] };
+const later = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('preview card guard', () => {
+  let page;
+  let root;
+  let manager;
+
+  before(async () => {
+    page = await loadCaptions(['Login at https://evil.example/login now'], { responses: { GET_BLOCKLIST_DATA: BLOCKLIST } });
+    const { window } = page;
+    // The overlays live in a closed shadow root - keep a handle on it, and on the manager
+    const attachShadow = window.Element.prototype.attachShadow;
+    window.Element.prototype.attachShadow = function () {
+      root = attachShadow.call(this, { mode: 'open' });
+      return root;
+    };
+    const show = window.LinkPreviewManager.prototype.show;
+    window.LinkPreviewManager.prototype.show = function (...args) {
+      manager = this;
+      return show.apply(this, args);
+    };
+
+    const link = window.document.querySelector('.instaclick-link');
+    link.dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+    await later(200);
+  });
+  after(() => page.close());
+
+  const press = (element, type, button) => {
+    const event = new page.window.MouseEvent(type, { bubbles: true, cancelable: true, button });
+    element.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+  const tracked = () => page.messages.filter(({ type }) => type === 'TRACK_CLICK');
+  const closeWarning = () => root.querySelector('.link-warning-back').click();
+
+  it('warns instead of opening a flagged link on middle-click', () => {
+    assert.equal(press(root.querySelector('.preview-link-area'), 'auxclick', 1), true);
+    assert.ok(root.querySelector('.instaclick-link-warning'));
+    assert.equal(tracked().length, 0);
+    closeWarning();
+  });
+
+  it('warns before opening a flagged link-in-bio entry', () => {
+    manager.renderBioLinks({ bioLinks: [
+      { url: 'https://shop.evil.example/deal', title: 'Deal', status: 'live' },
+      { url: 'https://example.com/', title: 'Blog', status: 'live' }
+    ] });
+    const [flagged] = root.querySelectorAll('.bio-link');
+
+    assert.equal(press(flagged, 'click', 0), true);
+    assert.ok(root.querySelector('.instaclick-link-warning'));
+    closeWarning();
+    assert.equal(press(flagged, 'auxclick', 1), true);
+    assert.ok(root.querySelector('.instaclick-link-warning'));
+    closeWarning();
+    assert.equal(tracked().length, 0);
+  });
+
+  it('badges lookalike link-in-bio entries', () => {
+    manager.renderBioLinks({ bioLinks: [
+      { url: 'https://paypa1.com/', title: 'Pay', status: 'live' },
+      { url: 'https://www.paypal.com/', title: 'Pay', status: 'live' }
+    ] });
+    const entries = [...root.querySelectorAll('.bio-link')];
+
+    assert.deepEqual(entries.map(entry => entry.classList.contains('bio-link-lookalike')), [true, false]);
+    assert.match(entries[0].title, /^Lookalike domain - /);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Redirects followed by the background worker hop by hop: every hop passes the
+ * egress gate and is logged, for previews, link checks, short link expansion
+ * and link-in-bio pages alike
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer, loadBackground } = require('./helpers/background');
+
+const redirect = location => (request, response) => {
+  response.writeHead(302, { Location: location });
+  response.end();
+};
+const html = body => (request, response) => {
+  response.writeHead(200, { 'Content-Type': 'text/html' });
+  response.end(body);
+};
+
+const ROUTES = {
+  '/short': redirect('/middle'),
+  '/middle': redirect('http://other.test/landing'),
+  '/landing': html('<html><head><meta property="og:title" content="Landing page"></head></html>'),
+  '/to-router': redirect('http://192.168.1.1/'),
+  '/to-localhost': redirect('http://localhost:8080/admin'),
+  '/to-local-name': redirect('http://nas.home.arpa/'),
+  '/loop-a': redirect('/loop-b'),
+  '/loop-b': redirect('/loop-a'),
+  '/bio': redirect('/bio/page'),
+  '/bio/page': html(`<html><head><title>My links</title></head><body>
+    <a href="https://shop.example/">Shop</a><a href="/terms">Terms</a></body></html>`)
+};
+
+const HOSTS = ['fixture.test', 'other.test', 'nas.home.arpa'];
+
+describe('redirects', () => {
+  let server;
+  let worker;
+  let fetched;
+
+  const requested = () => server.requests.map(({ host, path, method }) => `${method} ${host}${path}`);
+  // Arrays from the worker's realm are copied into this one to compare them
+  const requestLog = async () => [...(await worker.getEgressLog()).log]
+    .map(({ host, allowed, reason }) => (allowed ? host : `${host} blocked: ${reason}`))
+    .reverse();
+
+  before(async () => {
+    server = await startFixtureServer(ROUTES);
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    server.requests.length = 0;
+    ({ worker, fetched } = loadBackground({ server, hosts: HOSTS }));
+  });
+
+  it('requests and logs every hop of a preview', async () => {
+    const { data } = await worker.fetchLinkPreview('http://fixture.test/short');
+    assert.equal(data.title, 'Landing page');
+    assert.equal(data.url, 'http://other.test/landing');
+    assert.deepEqual(requested(), ['GET fixture.test/short', 'GET fixture.test/middle', 'GET other.test/landing']);
+    assert.deepEqual(await requestLog(), ['fixture.test', 'fixture.test', 'other.test']);
+  });
+
+  for (const [path, blocked] of [
+    ['/to-router', '192.168.1.1 blocked: Local network address'],
+    ['/to-localhost', 'localhost blocked: Single-label host'],
+    ['/to-local-name', 'nas.home.arpa blocked: Local network name']
+  ]) {
+    it(`stops at a redirect into the local network (${path})`, async () => {
+      const result = await worker.fetchLinkPreview(`http://fixture.test${path}`);
+      assert.equal(result.blocked, true);
+      assert.deepEqual(requested(), [`GET fixture.test${path}`]);
+      assert.deepEqual(await requestLog(), ['fixture.test', blocked]);
+      assert.deepEqual(fetched.map(url => new URL(url).hostname), ['fixture.test']);
+    });
+  }
+
+  it('applies the privacy mode to each hop', async () => {
+    ({ worker } = loadBackground({ server, hosts: HOSTS, settings: { privacyMode: 'firstParty' } }));
+    const result = await worker.fetchLinkPreview('http://fixture.test/short');
+    assert.equal(result.blocked, true);
+    assert.deepEqual(requested(), ['GET fixture.test/short', 'GET fixture.test/middle']);
+    assert.deepEqual(await requestLog(), ['fixture.test', 'fixture.test', 'other.test blocked: Privacy mode']);
+  });
+
+  it('reports a redirect loop', async () => {
+    const result = await worker.fetchLinkPreview('http://fixture.test/loop-a');
+    assert.equal(result.health.state, 'redirectLoop');
+    assert.deepEqual(requested(), ['GET fixture.test/loop-a', 'GET fixture.test/loop-b']);
+  });
+
+  it('checks link health hop by hop', async () => {
+    const health = await worker.probeLinkHealth('http://fixture.test/short');
+    assert.deepEqual({ ...health }, { state: 'ok', status: 200, finalUrl: 'http://other.test/landing' });
+    assert.deepEqual(requested(), ['HEAD fixture.test/short', 'HEAD fixture.test/middle', 'HEAD other.test/landing']);
+
+    server.requests.length = 0;
+    const local = await worker.probeLinkHealth('http://fixture.test/to-router');
+    assert.equal(local.state, 'unknown');
+    assert.deepEqual(requested(), ['HEAD fixture.test/to-router']);
+  });
+
+  it('expands short links hop by hop', async () => {
+    const result = await worker.traceRedirects('http://fixture.test/short');
+    assert.equal(result.expandedUrl, 'http://other.test/landing');
+    assert.deepEqual([...result.chain].map(({ url, status, via }) => [url, status, via]), [
+      ['http://fixture.test/short', 302, 'http'],
+      ['http://fixture.test/middle', 302, 'http'],
+      ['http://other.test/landing', 200, null]
+    ]);
+
+    server.requests.length = 0;
+    const local = await worker.traceRedirects('http://fixture.test/to-router');
+    assert.equal(local.blocked, true);
+    assert.deepEqual([...local.chain].map(({ url }) => url), ['http://fixture.test/to-router']);
+    assert.deepEqual(requested(), ['GET fixture.test/to-router']);
+  });
+
+  it('follows a link-in-bio redirect hop by hop', async () => {
+    const result = await worker.fetchBioLinks('http://fixture.test/bio');
+    assert.equal(result.title, 'My links');
+    assert.deepEqual([...result.links].map(({ title, url }) => [title, url]), [['Shop', 'https://shop.example/']]);
+    assert.deepEqual(await requestLog(), ['fixture.test', 'fixture.test']);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Traces of the background worker's own requests: each request gets the
+ * webRequest events (errors, redirects) of its own network request, also when
+ * several requests for the same URL are in flight
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+const URL_UNDER_TEST = 'https://fixture.test/page';
+const later = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A worker whose requests to URL_UNDER_TEST end as `outcomes` says, in the
+ * order they are made (a net::ERR_* code, or 'ok'). As in Chrome, the
+ * webRequest events come in after fetch() has been called.
+ */
+function loadWithOutcomes(outcomes) {
+  let requests = 0;
+  const page = loadBackground({
+    webRequest: true,
+    onFetch: url => {
+      if (url !== URL_UNDER_TEST) return undefined;
+      const requestId = String(++requests);
+      const outcome = outcomes[requestId - 1];
+      return (async () => {
+        await later(5);
+        page.emit('onBeforeRequest', { requestId, url, initiator: page.extensionOrigin });
+        await later(5);
+        if (outcome !== 'ok') {
+          page.emit('onErrorOccurred', { requestId, url, error: outcome });
+          throw new TypeError('Failed to fetch');
+        }
+        page.emit('onCompleted', { requestId, url });
+        return new Response('<title>ok</title>', { headers: { 'Content-Type': 'text/html' } });
+      })();
+    }
+  });
+  return page;
+}
+
+describe('request traces', () => {
+  it('keeps concurrent requests for the same URL apart', async () => {
+    const { worker } = loadWithOutcomes(['net::ERR_CONNECTION_RESET', 'ok', 'net::ERR_CERT_DATE_INVALID']);
+    const traces = [worker.createTrace(), worker.createTrace(), worker.createTrace()];
+
+    const results = await Promise.allSettled(traces.map(trace =>
+      worker.egressFetch(URL_UNDER_TEST, {}, { purpose: 'Link check', linkUrl: URL_UNDER_TEST, trace })
+    ));
+
+    assert.deepEqual(results.map(({ status }) => status), ['rejected', 'fulfilled', 'rejected']);
+    assert.deepEqual(traces.map(({ error }) => error), ['net::ERR_CONNECTION_RESET', null, 'net::ERR_CERT_DATE_INVALID']);
+  });
+
+  it('classifies each of two concurrent checks by its own failure', async () => {
+    const { worker } = loadWithOutcomes(['net::ERR_CERT_DATE_INVALID', 'net::ERR_CONNECTION_TIMED_OUT']);
+    const [first, second] = await Promise.all([
+      worker.probeLink(URL_UNDER_TEST, 'GET'),
+      worker.probeLink(URL_UNDER_TEST, 'GET')
+    ]);
+
+    assert.deepEqual({ ...first }, { state: 'tls', error: 'net::ERR_CERT_DATE_INVALID' });
+    assert.deepEqual({ ...second }, { state: 'timeout', error: 'net::ERR_CONNECTION_TIMED_OUT' });
+  });
+});
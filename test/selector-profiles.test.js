@@ -0,0 +1,52 @@
+/**
+ * Imported selector profiles (selectors.js) against the bundled profile they
+ * are merged into
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions } = require('./helpers/content-script');
+
+const BUNDLED = {
+  format: 1,
+  site: 'instagram',
+  name: 'Instagram',
+  version: 2,
+  groups: { captions: { selectors: ['h1'] }, comments: { selectors: ['ul span'] } }
+};
+
+const imported = version => ({ format: 1, version, groups: { captions: { selectors: ['h2'] } } });
+
+describe('selector profile versions', () => {
+  let page;
+  let selectors;
+
+  before(async () => {
+    page = await loadCaptions([]);
+    selectors = page.window.InstaClickSelectors;
+  });
+  after(() => page.close());
+
+  it('keeps the version an imported profile was made from', () => {
+    const profile = selectors.mergeProfile(imported(1), BUNDLED);
+    assert.equal(profile.version, 2);
+    assert.equal(profile.basedOn, 1);
+    assert.deepEqual([...profile.overridden], ['captions']);
+  });
+
+  it('compares it with the bundled version', () => {
+    const compare = version => selectors.compareProfileVersion(selectors.mergeProfile(imported(version), BUNDLED));
+    assert.equal(compare(1), 'older');
+    assert.equal(compare(2), 'current');
+    assert.equal(compare(3), 'newer');
+    assert.equal(compare(undefined), 'unknown');
+  });
+
+  it('rejects a version that is not a positive whole number', () => {
+    for (const version of ['2', 0, 1.5]) {
+      assert.equal(selectors.validateProfile(imported(version)).length, 1, String(version));
+    }
+    assert.deepEqual([...selectors.validateProfile(imported(1))], []);
+    assert.deepEqual([...selectors.validateProfile(imported(undefined))], []);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Which preview handler a link's host gets (preview.js): the exact host or
+ * one of its subdomains, never a host that merely contains the name
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions } = require('./helpers/content-script');
+
+// [hostname without www., handler name or null]
+const HOSTS = [
+  ['x.com', 'fetchTwitterPreview'], ['mobile.x.com', 'fetchTwitterPreview'], ['twitter.com', 'fetchTwitterPreview'],
+  ['youtube.com', 'fetchYouTubePreview'], ['m.youtube.com', 'fetchYouTubePreview'], ['youtu.be', 'fetchYouTubePreview'],
+  ['github.com', 'fetchGitHubPreview'], ['open.spotify.com', 'fetchSpotifyPreview'],
+  ['fox.com', null], ['netflix.com', null], ['box.com', null], ['notgithub.com', null],
+  ['github.com.evil.example', null], ['myyoutube.com', null], ['reddit.com.example.net', null]
+];
+
+describe('preview site handlers', () => {
+  let page;
+  let manager;
+
+  before(async () => {
+    page = await loadCaptions([]);
+    manager = page.window.LinkPreviewManager.prototype;
+  });
+  after(() => page.close());
+
+  for (const [domain, handler] of HOSTS) {
+    it(`${handler ? `previews ${domain} with ${handler}` : `gives ${domain} the generic preview`}`, () => {
+      const found = manager.getSiteHandler.call(manager, domain);
+      assert.equal(found && found.name.replace(/^bound /, ''), handler);
+    });
+  }
+
+  it('matches link-in-bio pages the same way', () => {
+    assert.ok(manager.getBioLinkHandler.call(manager, 'linktr.ee'));
+    assert.ok(manager.getBioLinkHandler.call(manager, 'shop.linktr.ee'));
+    assert.equal(manager.getBioLinkHandler.call(manager, 'notlinktr.ee'), null);
+  });
+});
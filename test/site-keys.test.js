@@ -0,0 +1,48 @@
+/**
+ * Which site a host belongs to (getSiteKey, publicsuffix.js) and so what
+ * "Linked site only" lets through
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+// [hostname, site]
+const SITE_KEYS = [
+  ['example.com', 'example.com'], ['www.example.com', 'example.com'], ['a.b.example.com', 'example.com'],
+  // Short names directly under a country TLD are sites of their own
+  ['abc.de', 'abc.de'], ['cdn.abc.de', 'abc.de'], ['img.bbc.co', 'bbc.co'], ['api.xyz.io', 'xyz.io'],
+  ['static.ab.fr', 'ab.fr'], ['www.orf.at', 'orf.at'],
+  // Country second-level suffixes keep one more label
+  ['shop.example.co.uk', 'example.co.uk'], ['example.co.uk', 'example.co.uk'], ['cdn.abc.com.au', 'abc.com.au'],
+  ['img.news.co.jp', 'news.co.jp'], ['a.shop.com.br', 'shop.com.br'], ['www.wien.gv.at', 'wien.gv.at'],
+  // Wildcard and exception rules
+  ['a.b.foo.ck', 'b.foo.ck'], ['www.ck', 'www.ck'],
+  // Hosting platforms: every customer is a site
+  ['me.github.io', 'me.github.io'], ['cdn.me.github.io', 'me.github.io'], ['app.vercel.app', 'app.vercel.app'],
+  // Addresses and bare suffixes stay as they are
+  ['93.184.216.34', '93.184.216.34'], ['co.uk', 'co.uk']
+];
+
+describe('site keys', () => {
+  const { worker } = loadBackground({ settings: { privacyMode: 'firstParty' } });
+
+  for (const [hostname, site] of SITE_KEYS) {
+    it(`puts ${hostname} on ${site}`, () => {
+      assert.equal(worker.getSiteKey(hostname), site);
+    });
+  }
+
+  it('lets a site\'s own subdomains through in "Linked site only"', async () => {
+    for (const [url, linkUrl, allowed] of [
+      ['https://cdn.abc.de/cover.jpg', 'https://abc.de/', true],
+      ['https://img.bbc.co/cover.jpg', 'https://www.bbc.co/news', true],
+      ['https://other.de/cover.jpg', 'https://abc.de/', false],
+      ['https://other.co.uk/cover.jpg', 'https://example.co.uk/', false],
+      ['https://you.github.io/cover.jpg', 'https://me.github.io/', false]
+    ]) {
+      const result = await worker.checkEgress(url, { purpose: 'Preview image', linkUrl });
+      assert.equal(result.allowed, allowed, `${url} for ${linkUrl}`);
+    }
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * URL tokenizer against a corpus of Instagram-style captions
+ * (test/fixtures/captions.json: caption plus the links expected in it, as
+ * [text, href, kind = 'url'])
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCaptions, escapeHtml } = require('./helpers/content-script');
+const CAPTIONS = require('./fixtures/captions.json');
+
+describe('caption corpus', () => {
+  let page;
+
+  before(async () => {
+    page = await loadCaptions(CAPTIONS.map(({ caption }) => escapeHtml(caption)));
+  });
+  after(() => page.close());
+
+  CAPTIONS.forEach(({ caption, links }, i) => {
+    it(caption, () => {
+      const expected = links.map(([text, href, kind = 'url']) => ({ text, href, kind }));
+      assert.deepEqual(page.linksOf(i), expected);
+    });
+  });
+});
+
+describe('rejected candidates', () => {
+  it('are not logged unless "Log skipped links" is on', async () => {
+    const logged = [];
+    const page = await loadCaptions([escapeHtml('see README.md')]);
+    page.window.console.debug = message => logged.push(message);
+    // Processed already - a new caption goes through the tokenizer again
+    const caption = page.window.document.createElement('span');
+    caption.textContent = 'open setup.py';
+    page.window.document.querySelector('[role="main"]').appendChild(caption);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    page.close();
+    assert.deepEqual(logged, []);
+  });
+
+  it('are logged with the reason when it is on', async () => {
+    const logged = [];
+    const page = await loadCaptions([escapeHtml('see README.md')], { settings: { logRejectedLinks: true } });
+    page.window.console.debug = message => logged.push(message);
+    const caption = page.window.document.createElement('span');
+    caption.textContent = 'open setup.py';
+    page.window.document.querySelector('[role="main"]').appendChild(caption);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    page.close();
+    assert.ok(logged.includes('InstaClick: not linking "setup.py" (ambiguous-tld)'), logged.join('\n'));
+  });
+});